@@ -7,8 +7,23 @@ const compression = require("compression");
 const config = require("./config");
 const FilesystemManager = require("./utils/filesystem");
 const BatchProcessor = require("./services/batchProcessor");
-const { router: uploadRouter, logProcessor } = require("./routes/upload");
+const {
+  router: uploadRouter,
+  logProcessor,
+  idempotencyStore,
+} = require("./routes/upload");
+const { isValidTimezone } = require("./utils/timezone");
+const { PARTITION_MODES } = require("./utils/partitioning");
 const monitoringRouter = require("./routes/monitoring");
+const keysRouter = require("./routes/keys");
+const runsRouter = require("./routes/runs");
+const devicesRouter = require("./routes/devices");
+const metricsRouter = require("./routes/metrics");
+const logsRouter = require("./routes/logs");
+const alertsRouter = require("./routes/alerts");
+const { keyRegistry } = require("./middleware/auth");
+const { diskMonitor } = require("./services/diskMonitor");
+const { alertEngine } = require("./services/alertEngine");
 
 class HopeRemoteLogApp {
   constructor() {
@@ -24,10 +39,29 @@ class HopeRemoteLogApp {
     try {
       console.log("Initializing Hope Remote Log system...");
 
+      // Validate ingestion settings before accepting any logs
+      this.validateIngestionSettings();
+
       // Initialize filesystem directories
       await FilesystemManager.initializeDirectories();
       console.log("Filesystem directories initialized");
 
+      // Load per-device API keys
+      await keyRegistry.load();
+
+      // Load per-device ingestion stats and entry sequence numbers
+      await logProcessor.deviceStats.load();
+      await logProcessor.sequencer.load();
+
+      // Load accepted upload keys (retries are not written twice)
+      await idempotencyStore.load();
+
+      // Compile alert rules and load alert state (dedup across restarts)
+      await alertEngine.load();
+
+      // Prepare archive sinks (resumable multipart uploads, directories)
+      await this.batchProcessor.initialize();
+
       // Configure Express middleware
       this.setupMiddleware();
 
@@ -37,6 +71,11 @@ class HopeRemoteLogApp {
       // Setup internal cron scheduler
       this.setupScheduler();
 
+      // Watch the buffer volume; run a batch early when it fills up
+      await diskMonitor.start((usagePercent) =>
+        this.runEarlyBatch(usagePercent)
+      );
+
       console.log("Application initialized successfully");
     } catch (error) {
       console.error("Failed to initialize application:", error);
@@ -44,6 +83,42 @@ class HopeRemoteLogApp {
     }
   }
 
+  /**
+   * Ensure the default and per-device source timezones are valid IANA names,
+   * the configured log formats have a registered parser, the partition
+   * mode is supported and the field extraction patterns compile
+   */
+  validateIngestionSettings() {
+    if (!PARTITION_MODES.includes(config.partitioning.mode)) {
+      throw new Error(`Unknown PARTITION_MODE: ${config.partitioning.mode}`);
+    }
+
+    if (!isValidTimezone(config.timestamps.defaultTimezone)) {
+      throw new Error(
+        `Invalid SOURCE_TIMEZONE: ${config.timestamps.defaultTimezone}`
+      );
+    }
+
+    if (!logProcessor.isKnownFormat(config.timestamps.defaultFormat)) {
+      throw new Error(`Unknown LOG_FORMAT: ${config.timestamps.defaultFormat}`);
+    }
+
+    for (const [deviceId, settings] of Object.entries(config.devices)) {
+      if (settings.timezone && !isValidTimezone(settings.timezone)) {
+        throw new Error(
+          `Invalid timezone for device ${deviceId}: ${settings.timezone}`
+        );
+      }
+      if (settings.format && !logProcessor.isKnownFormat(settings.format)) {
+        throw new Error(
+          `Unknown log format for device ${deviceId}: ${settings.format}`
+        );
+      }
+    }
+
+    logProcessor.setExtractionPatterns(config.extraction.patterns);
+  }
+
   /**
    * Setup Express middleware
    */
@@ -51,17 +126,14 @@ class HopeRemoteLogApp {
     // Enable gzip compression
     this.app.use(compression());
 
-    // Parse text/plain bodies for log upload
-    this.app.use(
-      "/upload-logs",
-      express.text({ type: "text/plain", limit: "10mb" })
-    );
+    // Upload bodies (raw text, multipart, compressed) are read by the upload
+    // route itself, so no body parser is mounted for it here
 
     // Parse JSON for API endpoints
     this.app.use("/api", express.json());
 
     // Inject log processor and batch processor for monitoring endpoints
-    this.app.use("/api", (req, res, next) => {
+    this.app.use(["/api", "/metrics"], (req, res, next) => {
       req.logProcessor = logProcessor;
       req.batchProcessor = this.batchProcessor;
       next();
@@ -92,6 +164,24 @@ class HopeRemoteLogApp {
     // Monitoring routes
     this.app.use("/", monitoringRouter);
 
+    // Device API key management routes
+    this.app.use("/", keysRouter);
+
+    // Batch run history routes
+    this.app.use("/", runsRouter);
+
+    // Per-device ingestion stats routes
+    this.app.use("/", devicesRouter);
+
+    // Prometheus metrics
+    this.app.use("/", metricsRouter);
+
+    // Search of buffered log entries
+    this.app.use("/", logsRouter);
+
+    // Alert rules and state
+    this.app.use("/", alertsRouter);
+
     // Root endpoint
     this.app.get("/", (req, res) => {
       res.json({
@@ -104,7 +194,22 @@ class HopeRemoteLogApp {
           stats: "GET /api/stats",
           buffer: "GET /api/buffer/state",
           failures: "GET /api/failures",
+          retryFailure: "POST /api/failures/:file/retry",
+          retryFailures: "POST /api/failures/retry",
+          purgeFailure: "DELETE /api/failures/:file",
           triggerBatch: "POST /api/trigger-batch",
+          runs: "GET /api/runs",
+          run: "GET /api/runs/:id",
+          rateLimits: "GET /api/rate-limits",
+          devices: "GET /api/devices",
+          device: "GET /api/devices/:id",
+          metrics: "GET /metrics",
+          logs: "GET /api/logs",
+          tail: "GET /api/tail?device_id=",
+          alerts: "GET /api/alerts",
+          keys: "GET|POST /api/keys",
+          rotateKey: "POST /api/keys/:id/rotate",
+          revokeKey: "DELETE /api/keys/:id",
         },
       });
     });
@@ -128,7 +233,7 @@ class HopeRemoteLogApp {
       async () => {
         console.log("Starting scheduled batch processing...");
         try {
-          await this.batchProcessor.run();
+          await this.batchProcessor.run("cron");
         } catch (error) {
           console.error("Scheduled batch processing failed:", error);
         }
@@ -142,6 +247,22 @@ class HopeRemoteLogApp {
     console.log("Cron scheduler configured successfully");
   }
 
+  /**
+   * Start a batch run ahead of schedule to free up the buffer volume
+   */
+  runEarlyBatch(usagePercent) {
+    if (this.batchProcessor.isProcessing) {
+      return;
+    }
+
+    console.log(
+      `Disk usage ${usagePercent}% above soft threshold, starting early batch processing...`
+    );
+    this.batchProcessor.run("disk").catch((error) => {
+      console.error("Early batch processing failed:", error);
+    });
+  }
+
   /**
    * Start the server
    */
@@ -155,7 +276,9 @@ class HopeRemoteLogApp {
             `Hope Remote Log server listening on port ${config.port}`
           );
           console.log(`API Key required: ${config.apiKey}`);
-          console.log(`S3 Bucket: ${config.aws.s3BucketName}`);
+          for (const sink of this.batchProcessor.sinks) {
+            console.log(`Archive sink ${sink.name}: ${sink.describe()}`);
+          }
           console.log(`Log base path: ${config.paths.base}`);
           resolve();
         }
@@ -172,10 +295,18 @@ class HopeRemoteLogApp {
     if (this.server) {
       this.server.close();
     }
+    diskMonitor.stop();
 
     // Wait a bit for any ongoing processing to complete
     await new Promise((resolve) => setTimeout(resolve, 1000));
 
+    // Persist device stats gathered since the last periodic save
+    try {
+      await logProcessor.deviceStats.save();
+    } catch (error) {
+      console.error("Failed to save device stats:", error);
+    }
+
     console.log("Shutdown complete");
     process.exit(0);
   }
@@ -1,11 +1,63 @@
+const fs = require("fs");
 const path = require("path");
 
+/**
+ * Load per-device settings from a JSON file ({ "<device_id>": { ... } })
+ */
+function loadDeviceSettings(filePath) {
+  if (!filePath) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Load archive sink settings from a JSON file ([{ "name", "type", ... }]),
+ * or null to use a single S3 sink built from the AWS settings
+ */
+function loadSinkSettings(filePath) {
+  if (!filePath) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Load per-program field extraction patterns from a JSON file
+ * ({ "<program>": ["<regex with named groups>", ...] })
+ */
+function loadExtractionPatterns(filePath) {
+  if (!filePath) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Load alert rules and webhooks from a JSON file ({ "webhooks": { "<name>":
+ * { "url", "headers" } }, "rules": [{ "name", "pattern", ... }] })
+ */
+function loadAlertSettings(filePath) {
+  if (!filePath) {
+    return { webhooks: {}, rules: [] };
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
 const config = {
   // Server configuration
   port: process.env.PORT || 3000,
 
   // Authentication
   apiKey: process.env.API_KEY || "your-api-key-here",
+  auth: {
+    // Token for mutating /api calls (trigger-batch, key management); also grants read
+    adminApiKey: process.env.ADMIN_API_KEY,
+    // Token for read-only /api calls (status, stats, buffer, failures)
+    readApiKey: process.env.READ_API_KEY,
+    // Accept the legacy fleet-wide API_KEY in addition to per-device keys
+    allowGlobalKey: process.env.ALLOW_GLOBAL_API_KEY !== "false",
+  },
 
   // AWS configuration
   aws: {
@@ -13,8 +65,17 @@ const config = {
     s3BucketName: process.env.S3_BUCKET_NAME || "hope-remote-logs",
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    // S3-compatible store (e.g. MinIO) instead of AWS S3
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === "true"
+      : undefined,
   },
 
+  // Archive sinks (s3, s3-compatible, local); archives are mirrored to all
+  // of them. Defaults to one S3 sink from the AWS settings above.
+  sinks: loadSinkSettings(process.env.SINK_CONFIG_PATH),
+
   // Filesystem paths
   paths: {
     base: process.env.LOG_BASE_PATH || "/data/logs",
@@ -30,13 +91,227 @@ const config = {
     get status() {
       return path.join(this.base, "status");
     },
+    get evicted() {
+      return path.join(this.base, "evicted");
+    },
+  },
+
+  // Upload limits, applied per request while streaming the body
+  upload: {
+    // Decoded (decompressed) body size
+    maxBodyBytes: parseInt(
+      process.env.UPLOAD_MAX_BYTES || String(256 * 1024 * 1024),
+      10
+    ),
+    maxLines: parseInt(process.env.UPLOAD_MAX_LINES || "2000000", 10),
+    // Longer lines are truncated to this many characters
+    maxLineLength: parseInt(process.env.UPLOAD_MAX_LINE_LENGTH || "65536", 10),
+    // Entries buffered in memory before being appended to incoming files
+    flushLines: 1000,
+  },
+
+  // Idempotent uploads: accepted Idempotency-Key values (or body hashes)
+  // kept in status/idempotency_keys.json, bounded by count and age
+  idempotency: {
+    maxKeys: parseInt(process.env.IDEMPOTENCY_MAX_KEYS || "10000", 10),
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || "24", 10),
+    // Identify uploads without the header by the hash of their body
+    contentHash: process.env.IDEMPOTENCY_CONTENT_HASH === "true",
+    // Larger bodies are not hashed (they would have to be held in memory)
+    contentHashMaxBytes: parseInt(
+      process.env.IDEMPOTENCY_CONTENT_HASH_MAX_BYTES || String(8 * 1024 * 1024),
+      10
+    ),
+  },
+
+  // Quotas of the failed/ and processing/ buffer directories (0 = no
+  // limit). Files over quota are evicted oldest hour first at the end of
+  // each batch run: compressed into evicted/ ("archive") or deleted ("drop").
+  retention: {
+    evictionMode: process.env.EVICTION_MODE || "archive",
+    failed: {
+      maxBytes: parseInt(process.env.FAILED_MAX_BYTES || "0", 10),
+      maxAgeHours: parseInt(process.env.FAILED_MAX_AGE_HOURS || "0", 10),
+    },
+    processing: {
+      maxBytes: parseInt(process.env.PROCESSING_MAX_BYTES || "0", 10),
+      maxAgeHours: parseInt(process.env.PROCESSING_MAX_AGE_HOURS || "0", 10),
+    },
+    // Evictions kept in status/evictions.json
+    evictionLogLimit: parseInt(process.env.EVICTION_LOG_LIMIT || "1000", 10),
+  },
+
+  // Search of buffered entries (GET /api/logs)
+  search: {
+    defaultLimit: parseInt(process.env.SEARCH_DEFAULT_LIMIT || "1000", 10),
+    maxLimit: parseInt(process.env.SEARCH_MAX_LIMIT || "10000", 10),
+    // Lines scanned per request before returning a cursor to continue from
+    maxScanLines: parseInt(process.env.SEARCH_MAX_SCAN_LINES || "1000000", 10),
+  },
+
+  // Live tail of ingested entries (GET /api/tail)
+  tail: {
+    maxSubscribers: parseInt(process.env.TAIL_MAX_SUBSCRIBERS || "20", 10),
+    // Queued bytes on a subscriber's connection before its events are dropped
+    maxBufferedBytes: parseInt(
+      process.env.TAIL_MAX_BUFFERED_BYTES || String(1024 * 1024),
+      10
+    ),
+    heartbeatSeconds: parseInt(process.env.TAIL_HEARTBEAT_SECONDS || "15", 10),
   },
 
+  // Disk usage of the buffer volume (percent). Above the soft threshold an
+  // early batch run is started; above the hard threshold uploads get 503.
+  diskPressure: {
+    softThresholdPercent: parseFloat(
+      process.env.DISK_SOFT_THRESHOLD_PERCENT || "80"
+    ),
+    hardThresholdPercent: parseFloat(
+      process.env.DISK_HARD_THRESHOLD_PERCENT || "95"
+    ),
+    checkIntervalSeconds: parseInt(
+      process.env.DISK_CHECK_INTERVAL_SECONDS || "5",
+      10
+    ),
+    // Retry-After sent with 503 responses
+    retryAfterSeconds: parseInt(
+      process.env.DISK_FULL_RETRY_AFTER_SECONDS || "300",
+      10
+    ),
+    // How long the last good reading stands in for failed measurements
+    maxReadingAgeSeconds: parseInt(
+      process.env.DISK_USAGE_MAX_AGE_SECONDS || "60",
+      10
+    ),
+  },
+
+  // Token-bucket rate limits on uploads, per minute; 0 disables a limit.
+  // Buckets hold one minute's allowance (the burst size).
+  rateLimit: {
+    // All devices together
+    global: {
+      requestsPerMinute: parseInt(
+        process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || "0",
+        10
+      ),
+      linesPerMinute: parseInt(
+        process.env.RATE_LIMIT_LINES_PER_MINUTE || "0",
+        10
+      ),
+      bytesPerMinute: parseInt(
+        process.env.RATE_LIMIT_BYTES_PER_MINUTE || "0",
+        10
+      ),
+    },
+    // Each device, unless overridden by its "rateLimit" setting
+    device: {
+      requestsPerMinute: parseInt(
+        process.env.DEVICE_RATE_LIMIT_REQUESTS_PER_MINUTE || "0",
+        10
+      ),
+      linesPerMinute: parseInt(
+        process.env.DEVICE_RATE_LIMIT_LINES_PER_MINUTE || "0",
+        10
+      ),
+      bytesPerMinute: parseInt(
+        process.env.DEVICE_RATE_LIMIT_BYTES_PER_MINUTE || "0",
+        10
+      ),
+    },
+  },
+
+  // Timestamp parsing
+  timestamps: {
+    // IANA zone device clocks are assumed to be in, unless overridden per
+    // device (DEVICE_CONFIG_PATH) or per request (X-Source-Timezone header)
+    defaultTimezone: process.env.SOURCE_TIMEZONE || "Asia/Bangkok",
+    // Log-line format: auto, rfc3164, rfc5424, rfc3339 or journald. Can be
+    // overridden per device or per request (X-Log-Format header)
+    defaultFormat: process.env.LOG_FORMAT || "auto",
+    // How far ahead of the receive time a year-less timestamp may land
+    // before it is assumed to belong to the previous year
+    maxFutureSkewHours: parseInt(process.env.MAX_FUTURE_SKEW_HOURS || "24", 10),
+  },
+
+  // Structured fields (hostname, program, unit, pid, severity, facility)
+  // extracted from the syslog/journald header into entries
+  extraction: {
+    // Can be overridden per device ("extractFields": true/false)
+    enabled: process.env.EXTRACT_FIELDS === "true",
+    // Named capture groups matched against the message body of a program's
+    // lines, added to the entry as "fields"
+    patterns: loadExtractionPatterns(process.env.EXTRACTION_PATTERNS_PATH),
+  },
+
+  // Rule-based alerting on ingested lines (GET /api/alerts)
+  alerts: {
+    settings: loadAlertSettings(process.env.ALERT_RULES_PATH),
+    // Per attempt; failed deliveries are retried with a growing delay
+    webhookTimeoutSeconds: parseInt(
+      process.env.ALERT_WEBHOOK_TIMEOUT_SECONDS || "10",
+      10
+    ),
+    webhookRetries: parseInt(process.env.ALERT_WEBHOOK_RETRIES || "3", 10),
+    // Notifications kept in status/alerts.json
+    historyLimit: parseInt(process.env.ALERT_HISTORY_LIMIT || "200", 10),
+  },
+
+  // Buffer file and S3 key partitioning: "hour" (YYYY-MM-DD-HH only),
+  // "device" (adds device_id=) or "group" (adds device_group= from the
+  // per-device "group" setting)
+  partitioning: {
+    mode: process.env.PARTITION_MODE || "hour",
+  },
+
+  // Per-device ingestion stats (status/device_stats.json)
+  deviceStats: {
+    // How often unsaved stats are written to the status directory
+    saveIntervalSeconds: parseInt(
+      process.env.DEVICE_STATS_SAVE_SECONDS || "30",
+      10
+    ),
+  },
+
+  // Per-device overrides, e.g. { "device-001": { "timezone": "UTC", "format": "rfc3339" } }
+  devices: loadDeviceSettings(process.env.DEVICE_CONFIG_PATH),
+
   // Processing configuration
   processing: {
     cronSchedule: "5,35 * * * *", // 5 and 35 minutes past every hour (twice per hour)
     maxRetries: 3,
+    // Minutes after an hour ends before its buffer files are swept, so late
+    // lines for that hour still land in the same file
+    sweepGraceMinutes: parseInt(process.env.SWEEP_GRACE_MINUTES || "2", 10),
     s3KeyPrefix: "logs",
+    // Batch runs kept in status/run_history.json (oldest dropped first)
+    runHistoryLimit: parseInt(process.env.RUN_HISTORY_LIMIT || "500", 10),
+    // Automatically re-attempt quarantined files on later batch runs, with
+    // a backoff that doubles after every failed attempt
+    autoRetryFailed: process.env.AUTO_RETRY_FAILED === "true",
+    retryBackoffMinutes: parseInt(
+      process.env.RETRY_BACKOFF_MINUTES || "30",
+      10
+    ),
+    retryBackoffMaxMinutes: parseInt(
+      process.env.RETRY_BACKOFF_MAX_MINUTES || "1440",
+      10
+    ),
+    maxAutoRetries: parseInt(process.env.MAX_AUTO_RETRIES || "10", 10),
+    // Archives at least thresholdBytes large are uploaded in parts of
+    // partSizeBytes (min 5 MiB), concurrency parts at a time, each part
+    // retried on its own up to partRetries times
+    multipart: {
+      thresholdBytes: parseInt(
+        process.env.MULTIPART_THRESHOLD_BYTES || String(64 * 1024 * 1024),
+        10
+      ),
+      partSizeBytes: parseInt(
+        process.env.MULTIPART_PART_SIZE_BYTES || String(16 * 1024 * 1024),
+        10
+      ),
+      concurrency: parseInt(process.env.MULTIPART_CONCURRENCY || "4", 10),
+      partRetries: parseInt(process.env.MULTIPART_PART_RETRIES || "3", 10),
+    },
   },
 };
 
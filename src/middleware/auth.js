@@ -1,10 +1,39 @@
+const crypto = require("crypto");
 const config = require("../config");
+const KeyRegistry = require("../services/keyRegistry");
+
+const keyRegistry = new KeyRegistry();
+
+/**
+ * Extract the API key from the Authorization header (raw key or "Bearer <key>")
+ */
+function getProvidedKey(req) {
+  const header = req.headers.authorization;
+  if (!header) {
+    return null;
+  }
+  return header.replace(/^Bearer\s+/i, "").trim();
+}
+
+/**
+ * Compare a provided token with a configured one in constant time (the
+ * sha256 digests have equal length whatever the token lengths)
+ */
+function tokenMatches(providedKey, expectedKey) {
+  if (!expectedKey) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(providedKey), digest(expectedKey));
+}
 
 /**
- * Authentication middleware to validate API key
+ * Authentication middleware to validate a device API key.
+ * Registry keys are bound to a single device and may only upload for the
+ * :device_id in the request path.
  */
 function authenticateApiKey(req, res, next) {
-  const providedKey = req.headers.authorization;
+  const providedKey = getProvidedKey(req);
 
   if (!providedKey) {
     return res.status(401).json({
@@ -12,13 +41,74 @@ function authenticateApiKey(req, res, next) {
     });
   }
 
-  if (providedKey !== config.apiKey) {
-    return res.status(401).json({
-      error: "Invalid API key",
-    });
+  const record = keyRegistry.lookup(providedKey);
+
+  if (record) {
+    if (req.params.device_id && record.device_id !== req.params.device_id) {
+      return res.status(403).json({
+        error: "API key is not authorized for this device",
+      });
+    }
+
+    req.apiKey = { id: record.id, device_id: record.device_id };
+    return next();
+  }
+
+  // Legacy fleet-wide key, kept while devices migrate to registry keys
+  if (config.auth.allowGlobalKey && tokenMatches(providedKey, config.apiKey)) {
+    req.apiKey = { id: null, device_id: null };
+    return next();
+  }
+
+  return res.status(401).json({
+    error: "Invalid API key",
+  });
+}
+
+/**
+ * Resolve the monitoring API role granted by a token ("admin", "read" or null)
+ */
+function resolveRole(token) {
+  if (tokenMatches(token, config.auth.adminApiKey)) {
+    return "admin";
+  }
+  if (tokenMatches(token, config.auth.readApiKey)) {
+    return "read";
   }
+  return null;
+}
+
+/**
+ * Authorization middleware factory for the /api surface.
+ * The admin role implies the read role.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const providedKey = getProvidedKey(req);
+
+    if (!providedKey) {
+      return res.status(401).json({
+        error: "Missing Authorization header",
+      });
+    }
+
+    const grantedRole = resolveRole(providedKey);
+
+    if (!grantedRole) {
+      return res.status(401).json({
+        error: "Invalid API key",
+      });
+    }
+
+    if (role === "admin" && grantedRole !== "admin") {
+      return res.status(403).json({
+        error: "Admin role required",
+      });
+    }
 
-  next();
+    req.role = grantedRole;
+    next();
+  };
 }
 
-module.exports = { authenticateApiKey };
+module.exports = { authenticateApiKey, requireRole, keyRegistry };
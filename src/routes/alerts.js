@@ -0,0 +1,17 @@
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+const { alertEngine } = require("../services/alertEngine");
+
+const router = express.Router();
+
+/**
+ * GET /api/alerts
+ * Configured alert rules, alert state per rule and device (active, trigger
+ * and notification counts, last match, last webhook deliveries) and recent
+ * notifications, most recent first
+ */
+router.get("/api/alerts", requireRole("read"), (req, res) => {
+  res.json(alertEngine.getState());
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * GET /api/devices
+ * Per-device ingestion stats, most recently seen first. ?silent_minutes=N
+ * lists only devices that have not uploaded for more than N minutes.
+ */
+router.get("/api/devices", requireRole("read"), (req, res) => {
+  if (!req.logProcessor) {
+    return res.status(500).json({
+      error: "Log processor not available",
+    });
+  }
+
+  let silentMinutes = null;
+  if (req.query.silent_minutes !== undefined) {
+    silentMinutes = Number(req.query.silent_minutes);
+    if (!Number.isFinite(silentMinutes) || silentMinutes < 0) {
+      return res.status(400).json({
+        error: "silent_minutes must be a non-negative number",
+      });
+    }
+  }
+
+  res.json(req.logProcessor.deviceStats.list(silentMinutes));
+});
+
+/**
+ * GET /api/devices/:id
+ * Ingestion stats of one device
+ */
+router.get("/api/devices/:id", requireRole("read"), (req, res) => {
+  if (!req.logProcessor) {
+    return res.status(500).json({
+      error: "Log processor not available",
+    });
+  }
+
+  const device = req.logProcessor.deviceStats.get(req.params.id);
+  if (!device) {
+    return res.status(404).json({
+      error: "Device not found",
+    });
+  }
+
+  res.json(device);
+});
+
+module.exports = router;
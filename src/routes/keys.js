@@ -0,0 +1,101 @@
+const express = require("express");
+const { requireRole, keyRegistry } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * GET /api/keys
+ * List device API keys (without secrets), optionally filtered by device_id
+ */
+router.get("/api/keys", requireRole("admin"), (req, res) => {
+  res.json(keyRegistry.list(req.query.device_id || null));
+});
+
+/**
+ * POST /api/keys
+ * Issue a new API key for a device
+ */
+router.post("/api/keys", requireRole("admin"), async (req, res) => {
+  const deviceId = req.body && req.body.device_id;
+
+  if (!deviceId || typeof deviceId !== "string") {
+    return res.status(400).json({
+      error: "device_id is required",
+    });
+  }
+
+  try {
+    const issued = await keyRegistry.issue(deviceId);
+    console.log(`Issued API key ${issued.id} for device: ${deviceId}`);
+    res.status(201).json(issued);
+  } catch (error) {
+    console.error("Error issuing API key:", error);
+    res.status(500).json({
+      error: "Failed to issue API key",
+    });
+  }
+});
+
+/**
+ * POST /api/keys/:id/rotate
+ * Issue a replacement key for the same device and retire the old one
+ */
+router.post("/api/keys/:id/rotate", requireRole("admin"), async (req, res) => {
+  const graceSeconds = parseInt((req.body && req.body.grace_seconds) || 0, 10);
+
+  if (isNaN(graceSeconds) || graceSeconds < 0) {
+    return res.status(400).json({
+      error: "grace_seconds must be a non-negative integer",
+    });
+  }
+
+  try {
+    const result = await keyRegistry.rotate(req.params.id, graceSeconds);
+
+    if (!result) {
+      return res.status(404).json({
+        error: "API key not found",
+      });
+    }
+
+    console.log(`Rotated API key ${req.params.id} to ${result.current.id}`);
+    res.json(result);
+  } catch (error) {
+    if (error.message === "Key is not active") {
+      return res.status(409).json({
+        error: error.message,
+      });
+    }
+
+    console.error("Error rotating API key:", error);
+    res.status(500).json({
+      error: "Failed to rotate API key",
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke an API key immediately
+ */
+router.delete("/api/keys/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const revoked = await keyRegistry.revoke(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: "API key not found",
+      });
+    }
+
+    console.log(`Revoked API key ${req.params.id}`);
+    res.json(revoked);
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      error: "Failed to revoke API key",
+    });
+  }
+});
+
+module.exports = router;
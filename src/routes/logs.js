@@ -0,0 +1,197 @@
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+const LogSearch = require("../services/logSearch");
+const { logTail } = require("../services/logTail");
+const { compileLinearRegex } = require("../utils/linearRegex");
+const config = require("../config");
+
+const router = express.Router();
+
+// Longest regex accepted, to keep patterns reviewable and cheap to compile
+const MAX_REGEX_LENGTH = 256;
+
+/**
+ * Name of the first of the given query parameters that is not a single
+ * string (repeated parameters arrive as arrays), or null
+ */
+function findInvalidParam(query, names) {
+  return (
+    names.find(
+      (name) => query[name] !== undefined && typeof query[name] !== "string"
+    ) || null
+  );
+}
+
+/**
+ * Parse an ISO 8601 time query parameter. Returns undefined when absent,
+ * null when invalid.
+ */
+function parseTimeParam(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Compile the optional regex query parameter for the linear-time engine.
+ * Returns { regex } (null when absent) or { error }; patterns that need
+ * backtracking (backreferences, lookaround) are rejected.
+ */
+function parseRegexParam(value) {
+  if (value === undefined) {
+    return { regex: null };
+  }
+  if (String(value).length > MAX_REGEX_LENGTH) {
+    return { error: `regex must be at most ${MAX_REGEX_LENGTH} characters` };
+  }
+  try {
+    return { regex: compileLinearRegex(value) };
+  } catch (error) {
+    return { error: `Invalid regex: ${error.message}` };
+  }
+}
+
+/**
+ * GET /api/logs
+ * Search buffered (not yet archived) log entries in incoming/ and
+ * processing/. Filters: device_id, from/to (ISO 8601, on log_timestamp),
+ * q (substring of message), regex (on message). Returns up to limit
+ * entries as NDJSON, oldest hour first; X-Next-Cursor is set when the
+ * search stopped early, pass it back as ?cursor= for the next page.
+ */
+router.get("/api/logs", requireRole("read"), async (req, res) => {
+  const invalidParam = findInvalidParam(req.query, [
+    "device_id",
+    "q",
+    "regex",
+    "cursor",
+    "limit",
+    "from",
+    "to",
+  ]);
+  if (invalidParam) {
+    return res.status(400).json({
+      error: `${invalidParam} must be given once`,
+    });
+  }
+
+  const { device_id, q, cursor } = req.query;
+
+  const limit =
+    req.query.limit === undefined
+      ? config.search.defaultLimit
+      : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > config.search.maxLimit) {
+    return res.status(400).json({
+      error: `limit must be an integer between 1 and ${config.search.maxLimit}`,
+    });
+  }
+
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({
+      error: "from and to must be ISO 8601 timestamps",
+    });
+  }
+
+  const { regex, error: regexError } = parseRegexParam(req.query.regex);
+  if (regexError) {
+    return res.status(400).json({ error: regexError });
+  }
+
+  let position = null;
+  if (cursor !== undefined) {
+    position = LogSearch.decodeCursor(String(cursor));
+    if (!position) {
+      return res.status(400).json({
+        error: "Invalid cursor",
+      });
+    }
+  }
+
+  // Stop scanning if the client goes away
+  let cancelled = false;
+  res.on("close", () => {
+    cancelled = true;
+  });
+
+  try {
+    const search = new LogSearch({
+      deviceId: device_id,
+      from,
+      to,
+      substring: q,
+      regex,
+    });
+    const { entries, nextCursor } = await search.run({
+      limit,
+      cursor: position,
+      isCancelled: () => cancelled,
+    });
+
+    if (nextCursor) {
+      res.set("X-Next-Cursor", nextCursor);
+    }
+    res.type("application/x-ndjson");
+    res.send(entries.map((entry) => JSON.stringify(entry) + "\n").join(""));
+  } catch (error) {
+    console.error("Error in log search endpoint:", error);
+    res.status(500).json({
+      error: "Failed to search logs",
+    });
+  }
+});
+
+/**
+ * GET /api/tail?device_id=...
+ * Live tail of a device's entries as Server-Sent Events ("log" events with
+ * the entry as data), sent right after they are written to the buffer.
+ * Optional q (substring) or regex filter on message. A client that falls
+ * behind misses events and gets a "dropped" event with the count.
+ */
+router.get("/api/tail", requireRole("read"), (req, res) => {
+  const invalidParam = findInvalidParam(req.query, ["device_id", "q", "regex"]);
+  if (invalidParam) {
+    return res.status(400).json({
+      error: `${invalidParam} must be given once`,
+    });
+  }
+
+  const { device_id, q } = req.query;
+
+  if (!device_id) {
+    return res.status(400).json({
+      error: "device_id is required",
+    });
+  }
+
+  const { regex, error: regexError } = parseRegexParam(req.query.regex);
+  if (regexError) {
+    return res.status(400).json({ error: regexError });
+  }
+
+  const unsubscribe = logTail.subscribe(device_id, res, (entry) => {
+    const message = String(entry.message);
+    return (!q || message.includes(q)) && (!regex || regex.test(message));
+  });
+  if (!unsubscribe) {
+    return res.status(503).json({
+      error: "Too many live tail subscribers",
+    });
+  }
+
+  // no-transform keeps the compression middleware from buffering events
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  res.on("close", unsubscribe);
+});
+
+module.exports = router;
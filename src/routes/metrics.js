@@ -0,0 +1,46 @@
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+const FilesystemManager = require("../utils/filesystem");
+const { registry, metrics } = require("../utils/metrics");
+const config = require("../config");
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ * Prometheus metrics (text exposition format). Buffer directory gauges and
+ * the last successful batch time are refreshed on every scrape.
+ */
+router.get("/metrics", requireRole("read"), async (req, res) => {
+  try {
+    const directories = {
+      incoming: config.paths.incoming,
+      processing: config.paths.processing,
+      failed: config.paths.failed,
+    };
+
+    for (const [directory, dirPath] of Object.entries(directories)) {
+      const stats = await FilesystemManager.getDirectoryStats(dirPath);
+      metrics.bufferFiles.set({ directory }, stats.file_count);
+      metrics.bufferBytes.set({ directory }, stats.total_size_bytes);
+    }
+
+    const lastBatch = req.batchProcessor
+      ? req.batchProcessor.runHistory.getLastSuccessfulBatch()
+      : null;
+    metrics.lastSuccessfulBatch.set(
+      {},
+      lastBatch ? Date.parse(lastBatch.finished_at) / 1000 : 0
+    );
+
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(registry.render());
+  } catch (error) {
+    console.error("Error in metrics endpoint:", error);
+    res.status(500).json({
+      error: "Failed to collect metrics",
+    });
+  }
+});
+
+module.exports = router;
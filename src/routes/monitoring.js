@@ -2,6 +2,10 @@ const express = require("express");
 const path = require("path");
 const FilesystemManager = require("../utils/filesystem");
 const config = require("../config");
+const { requireRole } = require("../middleware/auth");
+const { rateLimiter } = require("../utils/rateLimiter");
+const { diskMonitor } = require("../services/diskMonitor");
+const { logTail } = require("../services/logTail");
 
 const router = express.Router();
 
@@ -9,7 +13,7 @@ const router = express.Router();
  * GET /api/status
  * Basic health check
  */
-router.get("/api/status", (req, res) => {
+router.get("/api/status", requireRole("read"), (req, res) => {
   res.json({
     status: "ok",
     timestamp: new Date().toISOString(),
@@ -20,7 +24,7 @@ router.get("/api/status", (req, res) => {
  * GET /api/stats
  * High-level dashboard statistics
  */
-router.get("/api/stats", async (req, res) => {
+router.get("/api/stats", requireRole("read"), async (req, res) => {
   try {
     // Get ingestion rate from log processor (will be injected)
     const ingestionRate = req.logProcessor
@@ -42,6 +46,9 @@ router.get("/api/stats", async (req, res) => {
         duration_seconds: null,
       },
       disk_usage_percent: diskUsagePercent,
+      disk_pressure: diskMonitor.getState(),
+      throttled_requests: rateLimiter.getThrottledCounts(),
+      live_tail: logTail.getState(),
     });
   } catch (error) {
     console.error("Error in stats endpoint:", error);
@@ -51,11 +58,23 @@ router.get("/api/stats", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/rate-limits
+ * Configured upload rate limits and current token bucket levels
+ */
+router.get("/api/rate-limits", requireRole("read"), (req, res) => {
+  res.json({
+    limits: config.rateLimit,
+    buckets: rateLimiter.getState(),
+    throttled_requests: rateLimiter.getThrottledCounts(),
+  });
+});
+
 /**
  * GET /api/buffer/state
  * Real-time view of filesystem buffer state
  */
-router.get("/api/buffer/state", async (req, res) => {
+router.get("/api/buffer/state", requireRole("read"), async (req, res) => {
   try {
     const [incoming, processing, failed] = await Promise.all([
       FilesystemManager.getDirectoryStats(config.paths.incoming),
@@ -67,6 +86,7 @@ router.get("/api/buffer/state", async (req, res) => {
       incoming,
       processing,
       failed,
+      retention: req.batchProcessor.retention.getState(),
     });
   } catch (error) {
     console.error("Error in buffer state endpoint:", error);
@@ -80,7 +100,7 @@ router.get("/api/buffer/state", async (req, res) => {
  * GET /api/failures
  * Retrieve details for all quarantined log batches
  */
-router.get("/api/failures", async (req, res) => {
+router.get("/api/failures", requireRole("read"), async (req, res) => {
   try {
     const failedFiles = await FilesystemManager.listFiles(
       config.paths.failed,
@@ -99,6 +119,8 @@ router.get("/api/failures", async (req, res) => {
           failed_at: metaData.failed_at,
           error_message: metaData.error_message,
           retry_attempts: metaData.retry_attempts || 0,
+          attempt_count: (metaData.attempts || []).length || 1,
+          next_retry_at: metaData.next_retry_at || null,
         });
       } else {
         // If no meta file, create a basic entry
@@ -120,11 +142,162 @@ router.get("/api/failures", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/failures/retry
+ * Re-attempt quarantined files in the background: all of them, or those
+ * listed in the "files" body array
+ */
+router.post("/api/failures/retry", requireRole("admin"), async (req, res) => {
+  try {
+    if (!req.batchProcessor) {
+      return res.status(500).json({
+        error: "Batch processor not available",
+      });
+    }
+
+    const files = req.body && req.body.files;
+    if (
+      files !== undefined &&
+      !(
+        Array.isArray(files) &&
+        files.every((filename) => typeof filename === "string" && filename)
+      )
+    ) {
+      return res.status(400).json({
+        error: "files must be an array of quarantined file names",
+      });
+    }
+
+    if (files) {
+      for (const filename of files) {
+        if (!(await req.batchProcessor.isFailedFile(filename))) {
+          return res.status(404).json({
+            error: `Quarantined file not found: ${filename}`,
+          });
+        }
+      }
+    }
+
+    if (req.batchProcessor.isProcessing) {
+      return res.status(409).json({
+        error: "Batch processing already in progress",
+        message: "Please wait for current batch processing to complete",
+      });
+    }
+
+    console.log("Bulk retry of quarantined files triggered via API");
+    req.batchProcessor.retryFailures(files || null, "api").catch((error) => {
+      console.error("Bulk retry of quarantined files failed:", error);
+    });
+
+    res.status(202).json({
+      status: "accepted",
+      message: "Retry of quarantined files started",
+      run_id: req.batchProcessor.currentRun.id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error retrying quarantined files:", error);
+    res.status(500).json({
+      error: "Failed to retry quarantined files",
+    });
+  }
+});
+
+/**
+ * POST /api/failures/:file/retry
+ * Re-attempt the upload of a single quarantined file
+ */
+router.post(
+  "/api/failures/:file/retry",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      if (!req.batchProcessor) {
+        return res.status(500).json({
+          error: "Batch processor not available",
+        });
+      }
+
+      if (!(await req.batchProcessor.isFailedFile(req.params.file))) {
+        return res.status(404).json({
+          error: "Quarantined file not found",
+        });
+      }
+
+      if (req.batchProcessor.isProcessing) {
+        return res.status(409).json({
+          error: "Batch processing already in progress",
+          message: "Please wait for current batch processing to complete",
+        });
+      }
+
+      const [result] = await req.batchProcessor.retryFailures(
+        [req.params.file],
+        "api"
+      );
+
+      if (result.status !== "uploaded") {
+        return res.status(502).json({
+          error: "Retry failed",
+          message: result.error_message,
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error("Error retrying quarantined file:", error);
+      res.status(500).json({
+        error: "Failed to retry quarantined file",
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/failures/:file
+ * Permanently delete a quarantined file and its metadata
+ */
+router.delete("/api/failures/:file", requireRole("admin"), async (req, res) => {
+  try {
+    if (!req.batchProcessor) {
+      return res.status(500).json({
+        error: "Batch processor not available",
+      });
+    }
+
+    if (!(await req.batchProcessor.isFailedFile(req.params.file))) {
+      return res.status(404).json({
+        error: "Quarantined file not found",
+      });
+    }
+
+    if (req.batchProcessor.isProcessing) {
+      return res.status(409).json({
+        error: "Batch processing already in progress",
+        message: "Please wait for current batch processing to complete",
+      });
+    }
+
+    await req.batchProcessor.purgeFailedFile(req.params.file);
+
+    res.json({
+      file_name: req.params.file,
+      status: "purged",
+    });
+  } catch (error) {
+    console.error("Error purging quarantined file:", error);
+    res.status(500).json({
+      error: "Failed to purge quarantined file",
+    });
+  }
+});
+
 /**
  * POST /api/trigger-batch
  * Manually trigger batch processing
  */
-router.post("/api/trigger-batch", async (req, res) => {
+router.post("/api/trigger-batch", requireRole("admin"), async (req, res) => {
   try {
     // Get batch processor instance from app context
     if (!req.batchProcessor) {
@@ -143,13 +316,14 @@ router.post("/api/trigger-batch", async (req, res) => {
 
     // Trigger batch processing asynchronously
     console.log("Manual batch processing triggered via API");
-    req.batchProcessor.run().catch((error) => {
+    req.batchProcessor.run("api").catch((error) => {
       console.error("Manual batch processing failed:", error);
     });
 
     res.status(202).json({
       status: "accepted",
       message: "Batch processing started",
+      run_id: req.batchProcessor.currentRun.id,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
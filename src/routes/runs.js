@@ -0,0 +1,53 @@
+const express = require("express");
+const { requireRole } = require("../middleware/auth");
+const config = require("../config");
+
+const router = express.Router();
+
+/**
+ * GET /api/runs
+ * List recent batch and retry runs, most recent first (?limit=N)
+ */
+router.get("/api/runs", requireRole("read"), (req, res) => {
+  if (!req.batchProcessor) {
+    return res.status(500).json({
+      error: "Batch processor not available",
+    });
+  }
+
+  const limit = parseInt(req.query.limit || "50", 10);
+  if (isNaN(limit) || limit < 1) {
+    return res.status(400).json({
+      error: "limit must be a positive integer",
+    });
+  }
+
+  res.json(
+    req.batchProcessor.runHistory.list(
+      Math.min(limit, config.processing.runHistoryLimit)
+    )
+  );
+});
+
+/**
+ * GET /api/runs/:id
+ * Get a run with its per-file results
+ */
+router.get("/api/runs/:id", requireRole("read"), (req, res) => {
+  if (!req.batchProcessor) {
+    return res.status(500).json({
+      error: "Batch processor not available",
+    });
+  }
+
+  const run = req.batchProcessor.runHistory.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      error: "Run not found",
+    });
+  }
+
+  res.json(run);
+});
+
+module.exports = router;
@@ -1,24 +1,73 @@
+const crypto = require("crypto");
 const express = require("express");
-const multer = require("multer");
 const { authenticateApiKey } = require("../middleware/auth");
 const LogProcessor = require("../utils/logProcessor");
+const { isValidTimezone } = require("../utils/timezone");
+const {
+  bufferRequestBody,
+  streamUploadLines,
+} = require("../utils/requestBody");
+const { metrics } = require("../utils/metrics");
+const { rateLimiter } = require("../utils/rateLimiter");
+const { diskMonitor } = require("../services/diskMonitor");
+const IdempotencyStore = require("../services/idempotencyStore");
+const config = require("../config");
 
 const router = express.Router();
 const logProcessor = new LogProcessor();
+// Accepted upload keys, shared with the app for loading at startup
+const idempotencyStore = new IdempotencyStore();
 
-// Configure multer for memory storage (files will be in req.file.buffer)
-const upload = multer({
-  storage: multer.memoryStorage(),
-});
+// Idempotency-Key: 1-255 visible ASCII characters
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Answer a repeated upload with the response of the accepted original
+ */
+function replayUpload(res, deviceId, accepted) {
+  metrics.idempotentReplays.inc({ device_id: deviceId });
+  console.log(
+    `Upload from device ${deviceId} repeats one accepted at ${accepted.accepted_at} (${accepted.source} key); not written again`
+  );
+  res.set("Idempotent-Replayed", "true");
+  return res.status(202).json(accepted.response);
+}
+
+/**
+ * Pass an upload's lines through, charging each to the rate limits past the
+ * skipLines lines an earlier attempt already wrote. Once a line or byte
+ * bucket is used up, the lines end before the next one and
+ * limits.throttled describes the limit hit.
+ */
+async function* chargeUploadLines(deviceId, lines, skipLines, limits) {
+  let linesSeen = 0;
+  let throttled = null;
+
+  for await (const line of lines) {
+    if (throttled) {
+      limits.throttled = throttled;
+      return;
+    }
+    if (linesSeen++ >= skipLines) {
+      throttled = rateLimiter.charge(deviceId, {
+        lines: 1,
+        bytes: Buffer.byteLength(line) + 1,
+      });
+    }
+    yield line;
+  }
+}
 
 /**
  * POST /supervisor/v1/:device_id/upload-logs
- * Upload log entry from device (supports both raw text and file upload)
+ * Upload log entries from device. Accepts a raw text body or multipart with
+ * one or more "files" parts, optionally gzip/deflate Content-Encoded. An
+ * Idempotency-Key header (or, if enabled, the body hash) identifies retries
+ * of an accepted upload, which get the original 202 without being written.
  */
 router.post(
   "/supervisor/v1/:device_id/upload-logs",
   authenticateApiKey,
-  upload.single("files"),
   async (req, res) => {
     const startTime = Date.now();
     console.log(
@@ -27,38 +76,217 @@ router.post(
       }`
     );
 
+    // Key of this upload in the idempotency store, once claimed
+    let idempotency = null;
+
     try {
       const { device_id } = req.params;
-      let logMessage = req.file.buffer.toString("utf8");
 
-      const lineCount = logMessage
-        .split("\n")
-        .filter((line) => line.length > 0).length;
-      console.log(
-        `[${new Date().toISOString()}] Processing ${lineCount} log lines for device: ${device_id}`
-      );
+      const idempotencyKey = req.get("Idempotency-Key");
+      if (
+        idempotencyKey !== undefined &&
+        !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)
+      ) {
+        req.resume();
+        return res.status(400).json({
+          error: "Invalid Idempotency-Key",
+        });
+      }
+      if (idempotencyKey) {
+        const accepted = idempotencyStore.lookup(device_id, idempotencyKey);
+        if (accepted) {
+          req.resume();
+          return replayUpload(res, device_id, accepted);
+        }
+      }
+
+      // Refuse new lines before the buffer volume fills up
+      if (diskMonitor.isFull()) {
+        diskMonitor.recordRejected();
+        metrics.diskFullRejections.inc();
+        console.warn(
+          `Rejected upload from device ${device_id}: disk usage ${
+            diskMonitor.level === "unknown"
+              ? "unknown"
+              : `${diskMonitor.usagePercent}%`
+          }`
+        );
+        req.resume();
+        res.set("Retry-After", String(config.diskPressure.retryAfterSeconds));
+        return res.status(503).json({
+          error:
+            diskMonitor.level === "unknown"
+              ? "Log buffer disk usage cannot be measured"
+              : "Log buffer disk is nearly full",
+          retry_after_seconds: config.diskPressure.retryAfterSeconds,
+        });
+      }
+
+      // Token-bucket limits; lines and bytes are charged as they are read
+      const throttled = rateLimiter.admit(device_id);
+      if (throttled) {
+        metrics.throttledRequests.inc({
+          device_id,
+          reason: throttled.reason,
+        });
+        console.warn(
+          `Rate limited upload from device ${device_id} (${throttled.scope} ${throttled.reason} limit)`
+        );
+        // Discard the body; the device retries after Retry-After
+        req.resume();
+        res.set("Retry-After", String(throttled.retryAfterSeconds));
+        return res.status(429).json({
+          error: `Rate limit exceeded (${throttled.scope} ${throttled.reason})`,
+          retry_after_seconds: throttled.retryAfterSeconds,
+        });
+      }
+
+      // Optional per-request override of the device's source timezone
+      const sourceTimezone = req.get("X-Source-Timezone") || null;
+      if (sourceTimezone && !isValidTimezone(sourceTimezone)) {
+        req.resume();
+        return res.status(400).json({
+          error: `Invalid timezone: ${sourceTimezone}`,
+        });
+      }
+
+      // Optional per-request override of the device's log format
+      const logFormat = req.get("X-Log-Format") || null;
+      if (logFormat && !logProcessor.isKnownFormat(logFormat)) {
+        req.resume();
+        return res.status(400).json({
+          error: `Unknown log format: ${logFormat}`,
+        });
+      }
+
+      // Without a key, retries can be recognized by the hash of the body
+      // (bodies small enough to hold in memory)
+      let body = req;
+      let key = idempotencyKey;
+      let keySource = "header";
+      if (!key && config.idempotency.contentHash) {
+        const buffered = await bufferRequestBody(
+          req,
+          config.idempotency.contentHashMaxBytes
+        );
+        body = buffered.body;
+        if (buffered.buffer) {
+          key = crypto
+            .createHash("sha256")
+            .update(`${req.get("Content-Type") || ""}\n`)
+            .update(buffered.buffer)
+            .digest("hex");
+          keySource = "content";
+
+          const accepted = idempotencyStore.lookup(device_id, key);
+          if (accepted) {
+            return replayUpload(res, device_id, accepted);
+          }
+        }
+      }
+
+      if (key) {
+        if (!idempotencyStore.begin(device_id, key)) {
+          req.resume();
+          res.set("Retry-After", "1");
+          return res.status(409).json({
+            error: "An upload with the same idempotency key is in progress",
+          });
+        }
+        idempotency = { deviceId: device_id, key, source: keySource };
+      }
+
+      // A retry of an upload that failed part-way continues after the
+      // lines already written
+      const skipLines = idempotency
+        ? idempotencyStore.linesWritten(device_id, key)
+        : 0;
+      if (skipLines > 0) {
+        console.log(
+          `Upload from device ${device_id} resumes after ${skipLines} lines written by an earlier attempt`
+        );
+      }
+
+      // Stream the body line by line so memory stays bounded
+      const logLines = streamUploadLines(req, body);
+      const limits = { throttled: null };
 
       // Process the log request using line-by-line processing
-      const result = await logProcessor.processLogContentLineByLine(
+      const result = await logProcessor.processLogLines(
         device_id,
-        logMessage
+        chargeUploadLines(device_id, logLines, skipLines, limits),
+        {
+          timezone: sourceTimezone,
+          format: logFormat,
+          skipLines,
+        }
       );
 
+      // Cut short by a line or byte limit: the lines read so far are
+      // written, and a retry with the same key continues after them
+      if (limits.throttled) {
+        const { scope, reason, retryAfterSeconds } = limits.throttled;
+        const linesWritten = skipLines + result.linesProcessed;
+        if (idempotency) {
+          idempotencyStore.release(device_id, key, linesWritten);
+          idempotency = null;
+        }
+        rateLimiter.recordThrottled(device_id, reason);
+        metrics.throttledRequests.inc({ device_id, reason });
+        console.warn(
+          `Rate limited upload from device ${device_id} after ${linesWritten} lines (${scope} ${reason} limit)`
+        );
+        req.resume();
+        res.set("Retry-After", String(retryAfterSeconds));
+        return res.status(429).json({
+          error: `Rate limit exceeded (${scope} ${reason})`,
+          retry_after_seconds: retryAfterSeconds,
+          lines_written: linesWritten,
+        });
+      }
+
       const processingTime = Date.now() - startTime;
+      metrics.uploadDuration.observe({}, processingTime / 1000);
+      metrics.uploadSize.observe({}, result.bytesProcessed);
       console.log(
         `[${new Date().toISOString()}] Upload completed successfully for device: ${device_id} - Lines processed: ${
           result.linesProcessed
-        }, Files written: ${
+        }, Truncated lines: ${logLines.truncatedLines}, Files written: ${
           result.filesWritten
         }, Processing time: ${processingTime}ms`
       );
 
       // Return 202 Accepted as per requirements
-      res.status(202).json({
+      const response = {
         status: "accepted",
         message: "Log entry received and queued for processing",
-      });
+      };
+
+      // Remember the key before acknowledging, so a retry after a lost
+      // response is recognized even across a restart
+      if (idempotency) {
+        await idempotencyStore.complete(
+          idempotency.deviceId,
+          idempotency.key,
+          idempotency.source,
+          response
+        );
+        idempotency = null;
+      }
+
+      res.status(202).json(response);
     } catch (error) {
+      // Lines of the body already in the buffer (retries with the same
+      // Idempotency-Key skip them)
+      const linesWritten = error.linesWritten || 0;
+      if (idempotency) {
+        idempotencyStore.release(
+          idempotency.deviceId,
+          idempotency.key,
+          linesWritten
+        );
+      }
+
       const processingTime = Date.now() - startTime;
       console.error(
         `[${new Date().toISOString()}] Upload error for device: ${
@@ -67,6 +295,13 @@ router.post(
         error
       );
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          ...(linesWritten > 0 && { lines_written: linesWritten }),
+        });
+      }
+
       if (
         error.message.includes("Invalid log format") ||
         error.message.includes("Invalid timestamp")
@@ -83,4 +318,4 @@ router.post(
   }
 );
 
-module.exports = { router, logProcessor };
+module.exports = { router, logProcessor, idempotencyStore };
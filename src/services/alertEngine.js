@@ -0,0 +1,436 @@
+const path = require("path");
+const FilesystemManager = require("../utils/filesystem");
+const { SEVERITIES } = require("../utils/fieldExtraction");
+const { metrics } = require("../utils/metrics");
+const config = require("../config");
+
+// Matching lines sent with a notification, most recent last
+const MAX_SAMPLES = 5;
+
+/**
+ * Compile and validate the rules file ({ webhooks, rules }). Throws on the
+ * first invalid rule or webhook.
+ */
+function compileAlertSettings(settings) {
+  const webhooks = new Map();
+  for (const [name, webhook] of Object.entries(settings.webhooks || {})) {
+    let url;
+    try {
+      url = new URL(webhook.url);
+    } catch (error) {
+      throw new Error(`Invalid URL for alert webhook ${name}`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`Alert webhook ${name} must use http or https`);
+    }
+    webhooks.set(name, { name, url: url.href, headers: webhook.headers || {} });
+  }
+
+  if (!Array.isArray(settings.rules || [])) {
+    throw new Error("Alert rules must be a list");
+  }
+
+  const names = new Set();
+  const rules = (settings.rules || []).map((rule, index) => {
+    const name = rule.name;
+    if (typeof name !== "string" || !name) {
+      throw new Error(`Alert rule ${index} has no name`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate alert rule: ${name}`);
+    }
+    names.add(name);
+
+    if (typeof rule.pattern !== "string" || !rule.pattern) {
+      throw new Error(`Alert rule ${name} needs a pattern`);
+    }
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern);
+    } catch (error) {
+      throw new Error(
+        `Invalid pattern for alert rule ${name}: ${error.message}`
+      );
+    }
+
+    let severity;
+    if (rule.severity !== undefined) {
+      severity = SEVERITIES.indexOf(rule.severity);
+      if (severity === -1) {
+        throw new Error(
+          `Unknown severity for alert rule ${name}: ${rule.severity}`
+        );
+      }
+    }
+
+    const threshold = rule.threshold === undefined ? 1 : rule.threshold;
+    const windowMinutes =
+      rule.windowMinutes === undefined ? 1 : rule.windowMinutes;
+    const dedupMinutes =
+      rule.dedupMinutes === undefined ? 30 : rule.dedupMinutes;
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      throw new Error(`threshold of alert rule ${name} must be at least 1`);
+    }
+    if (!(windowMinutes > 0) || !(dedupMinutes >= 0)) {
+      throw new Error(
+        `windowMinutes and dedupMinutes of alert rule ${name} must be positive`
+      );
+    }
+
+    if (rule.devices !== undefined && !Array.isArray(rule.devices)) {
+      throw new Error(`devices of alert rule ${name} must be a list`);
+    }
+    if (rule.webhooks !== undefined && !Array.isArray(rule.webhooks)) {
+      throw new Error(`webhooks of alert rule ${name} must be a list`);
+    }
+
+    // All webhooks unless the rule names some
+    const ruleWebhooks = rule.webhooks || Array.from(webhooks.keys());
+    for (const webhook of ruleWebhooks) {
+      if (!webhooks.has(webhook)) {
+        throw new Error(`Unknown webhook for alert rule ${name}: ${webhook}`);
+      }
+    }
+
+    return {
+      name,
+      pattern: rule.pattern,
+      regex,
+      devices: rule.devices ? new Set(rule.devices) : null,
+      severity,
+      threshold,
+      windowMinutes,
+      dedupMinutes,
+      webhooks: ruleWebhooks,
+    };
+  });
+
+  return { webhooks, rules };
+}
+
+/**
+ * Rule-based alerting on ingested lines. A rule matches lines by regex on
+ * the message, optionally limited to devices and to a minimum severity. It
+ * triggers per device once threshold matches fall within windowMinutes
+ * (by log time); a trigger notifies the rule's webhooks unless the same
+ * rule and device were notified less than dedupMinutes ago. Alert state is
+ * saved to the status directory so deduplication survives restarts.
+ */
+class AlertEngine {
+  constructor() {
+    this.statePath = path.join(config.paths.status, "alerts.json");
+    this.rules = [];
+    this.webhooks = new Map();
+    // Whether any rule filters on severity
+    this.usesSeverity = false;
+    // Alert state per rule and device, key: "<rule>\n<device id>"
+    this.alerts = new Map();
+    // Recent notifications, most recent last
+    this.history = [];
+    // Serialize writes; saves requested while one is queued share it
+    this.writeQueue = Promise.resolve();
+    this.savePending = false;
+  }
+
+  static alertKey(ruleName, deviceId) {
+    return `${ruleName}\n${deviceId}`;
+  }
+
+  /**
+   * Compile the configured rules and load saved alert state
+   */
+  async load(settings = config.alerts.settings) {
+    const { webhooks, rules } = compileAlertSettings(settings);
+    this.webhooks = webhooks;
+    this.rules = rules;
+    this.usesSeverity = rules.some((rule) => rule.severity !== undefined);
+
+    const data = await FilesystemManager.readJsonFile(this.statePath);
+    const ruleNames = new Set(rules.map((rule) => rule.name));
+
+    this.alerts.clear();
+    for (const alert of (data && data.alerts) || []) {
+      // State of rules no longer configured is dropped
+      if (ruleNames.has(alert.rule)) {
+        this.alerts.set(AlertEngine.alertKey(alert.rule, alert.device_id), {
+          ...alert,
+          window: [],
+          samples: [],
+        });
+      }
+    }
+    this.history = ((data && data.history) || []).slice(
+      -config.alerts.historyLimit
+    );
+
+    console.log(`Loaded ${rules.length} alert rules`);
+  }
+
+  /**
+   * Persist alert state and history. A save requested while another is
+   * waiting to be written is covered by that one.
+   */
+  save() {
+    if (this.savePending) {
+      return this.writeQueue;
+    }
+
+    this.savePending = true;
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => {
+        this.savePending = false;
+        return FilesystemManager.writeJsonFile(this.statePath, {
+          // Match windows are not kept across restarts
+          alerts: Array.from(
+            this.alerts.values(),
+            ({ window, samples, ...state }) => state
+          ),
+          history: this.history,
+        });
+      });
+
+    return this.writeQueue;
+  }
+
+  hasRules() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * Rules an entry matches. severity is the entry's severity name, if known;
+   * entries without one never match rules that filter on severity.
+   */
+  match(deviceId, entry, severity) {
+    return this.rules.filter((rule) => {
+      if (rule.devices && !rule.devices.has(deviceId)) {
+        return false;
+      }
+      if (rule.severity !== undefined) {
+        const code = SEVERITIES.indexOf(severity);
+        if (code === -1 || code > rule.severity) {
+          return false;
+        }
+      }
+      return rule.regex.test(entry.message);
+    });
+  }
+
+  /**
+   * Count matches ([{ rule, entry }]) of a device once its entries are
+   * written, triggering alerts that reach their threshold
+   */
+  record(deviceId, matches) {
+    for (const { rule, entry } of matches) {
+      const key = AlertEngine.alertKey(rule.name, deviceId);
+      let alert = this.alerts.get(key);
+      if (!alert) {
+        alert = {
+          rule: rule.name,
+          device_id: deviceId,
+          triggered: 0,
+          notified: 0,
+          suppressed: 0,
+          first_triggered_at: null,
+          last_triggered_at: null,
+          last_notified_at: null,
+          last_match: null,
+          last_deliveries: [],
+          // Log times of matches in the current window
+          window: [],
+          samples: [],
+        };
+        this.alerts.set(key, alert);
+      }
+
+      const time = Date.parse(entry.log_timestamp);
+      const windowStart = time - rule.windowMinutes * 60 * 1000;
+      alert.window = alert.window.filter(
+        (matchTime) => matchTime > windowStart
+      );
+      alert.window.push(time);
+
+      const sample = {
+        log_timestamp: entry.log_timestamp,
+        seq: entry.seq,
+        message: entry.message,
+      };
+      alert.samples = alert.samples.slice(1 - MAX_SAMPLES).concat(sample);
+      alert.last_match = sample;
+
+      if (alert.window.length >= rule.threshold) {
+        this.trigger(rule, alert);
+      }
+    }
+  }
+
+  /**
+   * Start a new window and notify, unless notified within the dedup window
+   */
+  trigger(rule, alert) {
+    const now = Date.now();
+    const matchCount = alert.window.length;
+    const samples = alert.samples;
+
+    alert.window = [];
+    alert.samples = [];
+    alert.triggered++;
+    alert.first_triggered_at =
+      alert.first_triggered_at || new Date(now).toISOString();
+    alert.last_triggered_at = new Date(now).toISOString();
+    metrics.alertsTriggered.inc({
+      rule: rule.name,
+      device_id: alert.device_id,
+    });
+
+    if (
+      alert.last_notified_at &&
+      now - Date.parse(alert.last_notified_at) < rule.dedupMinutes * 60 * 1000
+    ) {
+      alert.suppressed++;
+      return;
+    }
+
+    const payload = {
+      rule: rule.name,
+      device_id: alert.device_id,
+      pattern: rule.pattern,
+      matches: matchCount,
+      window_minutes: rule.windowMinutes,
+      triggered_at: alert.last_triggered_at,
+      // Triggers suppressed since the previous notification
+      suppressed: alert.suppressed,
+      samples,
+    };
+    alert.notified++;
+    alert.suppressed = 0;
+    alert.last_notified_at = alert.last_triggered_at;
+
+    console.warn(
+      `Alert ${rule.name} for device ${alert.device_id}: ${matchCount} matches in ${rule.windowMinutes} min`
+    );
+
+    this.notify(rule, alert, payload).catch((error) =>
+      console.error(`Failed to record alert ${rule.name}:`, error)
+    );
+  }
+
+  /**
+   * Deliver a notification to the rule's webhooks and record the outcome
+   */
+  async notify(rule, alert, payload) {
+    const notification = {
+      rule: rule.name,
+      device_id: alert.device_id,
+      triggered_at: payload.triggered_at,
+      matches: payload.matches,
+      deliveries: [],
+    };
+    this.history.push(notification);
+    this.history = this.history.slice(-config.alerts.historyLimit);
+    this.save().catch((error) =>
+      console.error("Failed to save alert state:", error)
+    );
+
+    notification.deliveries = await Promise.all(
+      rule.webhooks.map((name) =>
+        this.deliver(this.webhooks.get(name), payload)
+      )
+    );
+    alert.last_deliveries = notification.deliveries;
+
+    await this.save();
+  }
+
+  /**
+   * POST a notification to a webhook, retrying failed attempts
+   */
+  async deliver(webhook, payload, attempt = 0) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...webhook.headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(config.alerts.webhookTimeoutSeconds * 1000),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return {
+        webhook: webhook.name,
+        ok: true,
+        status: response.status,
+        attempts: attempt + 1,
+        at: new Date().toISOString(),
+      };
+    } catch (error) {
+      if (attempt < config.alerts.webhookRetries) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, 1000 * (attempt + 1))
+        );
+        return this.deliver(webhook, payload, attempt + 1);
+      }
+
+      console.error(
+        `Alert webhook ${webhook.name} failed for ${payload.rule}: ${error.message}`
+      );
+      metrics.alertWebhookFailures.inc({ webhook: webhook.name });
+      return {
+        webhook: webhook.name,
+        ok: false,
+        error: error.message,
+        attempts: attempt + 1,
+        at: new Date().toISOString(),
+      };
+    }
+  }
+
+  /**
+   * Alert state for the API. An alert is active while its last trigger is
+   * within the rule's dedup window (or match window, if longer).
+   */
+  formatAlert(alert, now = Date.now()) {
+    const { window, samples, ...state } = alert;
+    const rule = this.rules.find((candidate) => candidate.name === alert.rule);
+    const activeMillis =
+      Math.max(rule.dedupMinutes, rule.windowMinutes) * 60 * 1000;
+
+    return {
+      ...state,
+      active: Boolean(
+        alert.last_triggered_at &&
+          now - Date.parse(alert.last_triggered_at) < activeMillis
+      ),
+      // Matches counted towards the next trigger
+      pending_matches: window.length,
+    };
+  }
+
+  getState() {
+    const now = Date.now();
+
+    return {
+      rules: this.rules.map((rule) => ({
+        name: rule.name,
+        pattern: rule.pattern,
+        devices: rule.devices ? Array.from(rule.devices) : null,
+        severity:
+          rule.severity === undefined ? null : SEVERITIES[rule.severity],
+        threshold: rule.threshold,
+        window_minutes: rule.windowMinutes,
+        dedup_minutes: rule.dedupMinutes,
+        webhooks: rule.webhooks,
+      })),
+      alerts: Array.from(this.alerts.values(), (alert) =>
+        this.formatAlert(alert, now)
+      ),
+      recent_notifications: this.history.slice().reverse(),
+    };
+  }
+}
+
+// Shared by the log processor and the alerts route (same process)
+const alertEngine = new AlertEngine();
+
+module.exports = { AlertEngine, alertEngine };
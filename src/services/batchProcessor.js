@@ -1,30 +1,47 @@
 const fs = require("fs");
 const path = require("path");
 const zlib = require("zlib");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const { pipeline } = require("stream/promises");
+const { createSinks } = require("./sinks");
+const RunHistory = require("./runHistory");
+const BufferRetention = require("./bufferRetention");
 const FilesystemManager = require("../utils/filesystem");
+const { parseBufferFilename } = require("../utils/partitioning");
+const { bufferRotation } = require("../utils/bufferRotation");
+const { metrics } = require("../utils/metrics");
 const config = require("../config");
 
 class BatchProcessor {
   constructor() {
-    this.s3Client = new S3Client({
-      region: config.aws.region,
-      credentials: config.aws.accessKeyId
-        ? {
-            accessKeyId: config.aws.accessKeyId,
-            secretAccessKey: config.aws.secretAccessKey,
-          }
-        : undefined, // Use default credential chain if not provided
-    });
+    // Archive destinations; every archive is written to each of them
+    this.sinks = createSinks();
+    this.runHistory = new RunHistory();
+    // Quotas of failed/ and processing/, enforced after each batch run
+    this.retention = new BufferRetention();
 
     this.isProcessing = false;
+    // Run record of the batch or retry run in progress, if any
+    this.currentRun = null;
+  }
+
+  /**
+   * Load the run history and eviction log, and prepare the sinks (load in-progress multipart
+   * uploads, create archive directories)
+   */
+  async initialize() {
+    await this.runHistory.load();
+    await this.retention.load();
+
+    for (const sink of this.sinks) {
+      await sink.initialize();
+    }
   }
 
   /**
-   * Main processing method called by cron
+   * Main processing method called by cron (trigger "cron") or the API
+   * (trigger "api"). Every run is recorded in the run history.
    */
-  async run() {
+  async run(trigger = "cron") {
     if (this.isProcessing) {
       console.log("Batch processing already in progress, skipping...");
       return;
@@ -34,36 +51,79 @@ class BatchProcessor {
     const startTime = Date.now();
     let filesProcessed = 0;
     let status = "success";
+    const runRecord = this.runHistory.start("batch", trigger);
+    this.currentRun = runRecord;
 
     try {
       // Update status to running
+      await this.runHistory.save();
       await this.updateStatus("running", {
-        started_at: new Date().toISOString(),
+        run_id: runRecord.id,
+        started_at: runRecord.started_at,
       });
 
+      // Recovery phase: files left in processing by an interrupted run. S3
+      // keys are content-derived, so archives that already made it to S3
+      // are not uploaded again.
+      const leftoverFiles = await FilesystemManager.listFiles(
+        config.paths.processing,
+        (filename) => filename.endsWith(".log")
+      );
+      if (leftoverFiles.length > 0) {
+        console.log(
+          `Recovering ${leftoverFiles.length} files left in processing directory`
+        );
+      }
+      const recovered = await this.processFiles(
+        leftoverFiles,
+        runRecord,
+        "recovered"
+      );
+
       // Sweep phase: move completed files to processing
       const sweptFiles = await this.sweepCompletedFiles();
       console.log(`Swept ${sweptFiles.length} files to processing directory`);
 
-      // Process each file
-      for (const filename of sweptFiles) {
-        try {
-          await this.processFile(filename);
-          filesProcessed++;
-          console.log(`Successfully processed: ${filename}`);
-        } catch (error) {
-          console.error(`Failed to process file ${filename}:`, error);
-          await this.handleFailedFile(filename, error);
+      const processed = await this.processFiles(sweptFiles, runRecord, "swept");
+      filesProcessed += recovered.succeeded + processed.succeeded;
+      if (recovered.failed + processed.failed > 0) {
+        status = "failed";
+      }
+
+      // Re-attempt quarantined files whose backoff has elapsed
+      if (config.processing.autoRetryFailed) {
+        const retried = await this.retryDueFailures(runRecord);
+        filesProcessed += retried.succeeded;
+        if (retried.failed > 0) {
           status = "failed";
         }
       }
 
+      // Evict files over the failed/ and processing/ quotas
+      const evicted = await this.retention.enforce();
+
+      // Abort multipart uploads left behind by files that are gone
+      for (const sink of this.sinks) {
+        await sink.cleanup();
+      }
+
       // Update final status
       const duration = (Date.now() - startTime) / 1000;
+      metrics.batchDuration.observe({}, duration);
+      metrics.batchSize.observe(
+        {},
+        runRecord.files.reduce((total, file) => total + (file.bytes || 0), 0)
+      );
       await this.updateStatus(status, {
+        run_id: runRecord.id,
         finished_at: new Date().toISOString(),
         duration_seconds: parseFloat(duration.toFixed(1)),
         files_processed: filesProcessed,
+        files_evicted: evicted.length,
+      });
+      await this.runHistory.finish(runRecord, status, {
+        files_processed: filesProcessed,
+        files_evicted: evicted.length,
       });
 
       console.log(
@@ -72,11 +132,18 @@ class BatchProcessor {
     } catch (error) {
       console.error("Critical error in batch processing:", error);
       await this.updateStatus("failed", {
+        run_id: runRecord.id,
         finished_at: new Date().toISOString(),
         error_message: error.message,
       });
+      await this.runHistory
+        .finish(runRecord, "failed", { error_message: error.message })
+        .catch((historyError) =>
+          console.error("Failed to record batch run:", historyError)
+        );
     } finally {
       this.isProcessing = false;
+      this.currentRun = null;
     }
   }
 
@@ -94,12 +161,39 @@ class BatchProcessor {
   }
 
   /**
-   * Sweep all files from incoming to processing
+   * Check whether a buffer file's hour is closed: the hour has ended and the
+   * grace window for late lines has passed
+   */
+  isHourClosed(parsedFilename, now = Date.now()) {
+    const { year, month, day, hour } = parsedFilename;
+    const hourEnd = Date.UTC(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hour) + 1
+    );
+
+    return hourEnd + config.processing.sweepGraceMinutes * 60 * 1000 <= now;
+  }
+
+  /**
+   * Sweep files for closed hours from incoming to processing. The current
+   * hour (and the grace window after it) is left for ingestion to append to.
    */
-  async sweepCompletedFiles() {
+  async sweepCompletedFiles(now = Date.now()) {
     const incomingFiles = await FilesystemManager.listFiles(
       config.paths.incoming,
-      (filename) => filename.endsWith(".log")
+      (filename) => {
+        if (!filename.endsWith(".log")) {
+          return false;
+        }
+        const parsed = parseBufferFilename(filename);
+        if (!parsed) {
+          console.warn(`Skipping unrecognized buffer file: ${filename}`);
+          return false;
+        }
+        return this.isHourClosed(parsed, now);
+      }
     );
 
     const sweptFiles = [];
@@ -109,7 +203,10 @@ class BatchProcessor {
       const destPath = path.join(config.paths.processing, filename);
 
       try {
-        await FilesystemManager.moveFile(sourcePath, destPath);
+        // Hold appends off the file and let in-flight ones finish first
+        await bufferRotation.withSeal(filename, () =>
+          FilesystemManager.moveFile(sourcePath, destPath)
+        );
         sweptFiles.push(filename);
       } catch (error) {
         console.error(`Failed to move file ${filename}:`, error);
@@ -120,18 +217,59 @@ class BatchProcessor {
   }
 
   /**
-   * Process a single file: compress and upload to S3
+   * Process files in the processing directory one by one, quarantining
+   * the ones that fail. Outcomes are recorded in the run under phase
+   * ("recovered" or "swept").
    */
-  async processFile(filename) {
-    const sourceFile = path.join(config.paths.processing, filename);
+  async processFiles(filenames, runRecord, phase) {
+    const result = { succeeded: 0, failed: 0 };
+
+    for (const filename of filenames) {
+      const fileResult = this.runHistory.addFile(runRecord, filename, phase);
+
+      try {
+        await this.processFile(filename, config.paths.processing, fileResult);
+        fileResult.status = "uploaded";
+        result.succeeded++;
+        console.log(`Successfully processed: ${filename}`);
+      } catch (error) {
+        console.error(`Failed to process file ${filename}:`, error);
+        fileResult.status = "failed";
+        fileResult.error_message = error.message;
+        await this.handleFailedFile(filename, error);
+        result.failed++;
+      }
+
+      await this.runHistory.save();
+    }
+
+    return result;
+  }
+
+  /**
+   * Process a single file: compress and upload to the archive sinks.
+   * Sizes, line count, archive key and retries are filled into fileResult.
+   */
+  async processFile(
+    filename,
+    directory = config.paths.processing,
+    fileResult = {}
+  ) {
+    const sourceFile = path.join(directory, filename);
     const compressedFile = `${sourceFile}.gz`;
 
     try {
+      const { size } = await fs.promises.stat(sourceFile);
+      fileResult.bytes = size;
+
       // Compress the file
-      await this.compressFile(sourceFile, compressedFile);
+      fileResult.line_count = await this.compressFile(
+        sourceFile,
+        compressedFile
+      );
 
-      // Upload to S3
-      await this.uploadToS3(compressedFile, filename);
+      // Upload to the archive sinks
+      await this.archiveFile(compressedFile, filename, fileResult);
 
       // Clean up both original and compressed files
       await Promise.all([
@@ -150,68 +288,145 @@ class BatchProcessor {
   }
 
   /**
-   * Compress file using GZIP
+   * Compress file using GZIP. Returns the number of lines in the file.
    */
   async compressFile(inputPath, outputPath) {
     const readStream = fs.createReadStream(inputPath);
     const writeStream = fs.createWriteStream(outputPath);
     const gzipStream = zlib.createGzip();
 
+    // Buffer files hold one newline-terminated JSON entry per line
+    let lineCount = 0;
+    readStream.on("data", (chunk) => {
+      for (let i = chunk.indexOf(10); i !== -1; i = chunk.indexOf(10, i + 1)) {
+        lineCount++;
+      }
+    });
+
     await pipeline(readStream, gzipStream, writeStream);
+    return lineCount;
   }
 
   /**
-   * Upload compressed file to S3 with retry logic
+   * Store a compressed file in every sink. The key is derived from the
+   * archive's SHA-256, so sinks that already hold it (e.g. after a crash
+   * before local cleanup, or a retry after another sink failed) skip it.
    */
-  async uploadToS3(filePath, originalFilename, retryCount = 0) {
+  async archiveFile(filePath, originalFilename, fileResult = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    const digest = await FilesystemManager.hashFile(filePath);
+    const checksum = {
+      hex: digest.toString("hex"),
+      base64: digest.toString("base64"),
+    };
+    const archive = {
+      filename: originalFilename,
+      key: this.generateArchiveKey(originalFilename, checksum.hex),
+      size,
+      checksum,
+    };
+
+    fileResult.compressed_bytes = size;
+    fileResult.archive_key = archive.key;
+    fileResult.retries = 0;
+    fileResult.sinks = {};
+
+    const failures = [];
+    for (const sink of this.sinks) {
+      try {
+        fileResult.sinks[sink.name] = await this.uploadToSink(
+          sink,
+          filePath,
+          archive,
+          fileResult
+        );
+      } catch (error) {
+        fileResult.sinks[sink.name] = "failed";
+        console.error(
+          `Upload of ${originalFilename} to sink ${sink.name} failed:`,
+          error
+        );
+        failures.push(`${sink.name}: ${error.message}`);
+        metrics.archiveFailures.inc({ sink: sink.name });
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Upload failed for sink ${failures.join("; ")}`);
+    }
+  }
+
+  /**
+   * Upload an archive to one sink with retry logic. Returns "uploaded", or
+   * "skipped" if the sink already holds the archive; retries are counted
+   * in fileResult.
+   */
+  async uploadToSink(sink, filePath, archive, fileResult, retryCount = 0) {
     try {
-      const s3Key = this.generateS3Key(originalFilename);
-      const fileStream = fs.createReadStream(filePath);
-
-      const command = new PutObjectCommand({
-        Bucket: config.aws.s3BucketName,
-        Key: s3Key,
-        Body: fileStream,
-        ContentType: "application/gzip",
-        ContentEncoding: "gzip",
-      });
+      if (await sink.exists(archive.key, archive)) {
+        console.log(
+          `${archive.filename} is already in ${sink.name} as ${archive.key}, skipping upload`
+        );
+        return "skipped";
+      }
 
-      await this.s3Client.send(command);
-      console.log(`Successfully uploaded ${originalFilename} to S3: ${s3Key}`);
+      await sink.upload(filePath, archive);
+      console.log(
+        `Successfully uploaded ${archive.filename} to ${sink.name}: ${archive.key}`
+      );
+      return "uploaded";
     } catch (error) {
       if (retryCount < config.processing.maxRetries) {
         console.log(
-          `Upload failed for ${originalFilename}, retrying... (${
-            retryCount + 1
-          }/${config.processing.maxRetries})`
+          `Upload to ${sink.name} failed for ${
+            archive.filename
+          }, retrying... (${retryCount + 1}/${config.processing.maxRetries})`
         );
         await new Promise((resolve) =>
           setTimeout(resolve, 1000 * (retryCount + 1))
         ); // Exponential backoff
-        return this.uploadToS3(filePath, originalFilename, retryCount + 1);
+        fileResult.retries++;
+        metrics.archiveRetries.inc({ sink: sink.name });
+        return this.uploadToSink(
+          sink,
+          filePath,
+          archive,
+          fileResult,
+          retryCount + 1
+        );
       }
       throw error;
     }
   }
 
   /**
-   * Generate S3 key with partitioning and random suffix to prevent overwrites
+   * Generate a deterministic archive key (S3 key, or relative path in a
+   * directory sink) with partitioning. The suffix is taken
+   * from the archive's SHA-256, so re-uploading the same archive (e.g. after
+   * a crash before local cleanup) lands on the same key, while late lines
+   * for an hour that was already uploaded produce a new object.
+   * Device-partitioned buffer files get a device_id= (or device_group=)
+   * partition ahead of the time partitions. Quarantined copies (+<n>) are
+   * keyed by the buffer file they came from, so the same bytes get the same
+   * key whichever name they were quarantined under.
    */
-  generateS3Key(filename) {
-    // Extract date from filename (YYYY-MM-DD-HH.log)
-    const match = filename.match(/^(\d{4})-(\d{2})-(\d{2})-(\d{2})\.log$/);
-    if (!match) {
+  generateArchiveKey(filename, contentHash) {
+    // Extract date (and optional device partition) from filename
+    // (YYYY-MM-DD-HH.log or YYYY-MM-DD-HH.device_id=<id>.log)
+    const parsed = parseBufferFilename(filename);
+    if (!parsed) {
       throw new Error(`Invalid filename format: ${filename}`);
     }
 
-    const [, year, month, day, hour] = match;
-    // Add random suffix to prevent overwrites when running multiple times per hour
-    const randomSuffix = Math.random().toString(36).substring(2, 8);
-    const uniqueFilename = `${filename.replace(
-      ".log",
+    const { year, month, day, hour, partition, bufferFilename } = parsed;
+    const uniqueFilename = `${bufferFilename.replace(
+      /\.log$/,
       ""
-    )}_${randomSuffix}.log`;
-    return `${config.processing.s3KeyPrefix}/year=${year}/month=${month}/day=${day}/hour=${hour}/${uniqueFilename}.gz`;
+    )}_${contentHash.substring(0, 16)}.log`;
+    const partitionPrefix = partition
+      ? `${partition.key}=${encodeURIComponent(partition.value)}/`
+      : "";
+    return `${config.processing.s3KeyPrefix}/${partitionPrefix}year=${year}/month=${month}/day=${day}/hour=${hour}/${uniqueFilename}.gz`;
   }
 
   /**
@@ -220,24 +435,245 @@ class BatchProcessor {
   async handleFailedFile(filename, error) {
     try {
       const sourceFile = path.join(config.paths.processing, filename);
-      const failedFile = path.join(config.paths.failed, filename);
-      const metaFile = path.join(config.paths.failed, `${filename}.meta`);
+      const failedName = await this.getQuarantineName(filename);
 
-      // Move file to failed directory
-      await FilesystemManager.moveFile(sourceFile, failedFile);
-
-      // Create metadata file
-      const metadata = {
-        failed_at: new Date().toISOString(),
-        error_message: error.message,
-        retry_attempts: config.processing.maxRetries,
-      };
+      await FilesystemManager.moveFile(
+        sourceFile,
+        path.join(config.paths.failed, failedName)
+      );
+      if (failedName !== filename) {
+        console.log(`Quarantined ${filename} as ${failedName}`);
+      }
 
-      await FilesystemManager.writeJsonFile(metaFile, metadata);
+      await this.recordFailedAttempt(failedName, error, "batch");
     } catch (metaError) {
       console.error(`Failed to handle failed file ${filename}:`, metaError);
     }
   }
+
+  /**
+   * Name for a file moved to failed/. A quarantined file for the same hour
+   * may already be there (late lines); it is kept as is, since sinks may
+   * already hold part of it, and the new one becomes a numbered copy
+   * (YYYY-MM-DD-HH+<n>.log).
+   */
+  async getQuarantineName(filename) {
+    let candidate = filename;
+    for (let copy = 1; ; copy++) {
+      const exists =
+        (await FilesystemManager.fileExists(
+          path.join(config.paths.failed, candidate)
+        )) ||
+        (await FilesystemManager.fileExists(
+          path.join(config.paths.failed, `${candidate}.meta`)
+        ));
+      if (!exists) {
+        return candidate;
+      }
+      candidate = filename.replace(/\.log$/, `+${copy}.log`);
+    }
+  }
+
+  /**
+   * Append an attempt to a quarantined file's .meta history and schedule
+   * the next automatic re-attempt
+   */
+  async recordFailedAttempt(filename, error, trigger) {
+    const metaFile = path.join(config.paths.failed, `${filename}.meta`);
+    const previous = (await FilesystemManager.readJsonFile(metaFile)) || {};
+    const now = new Date().toISOString();
+
+    // Meta files written before attempt history existed hold one attempt
+    const history =
+      previous.attempts ||
+      (previous.failed_at
+        ? [
+            {
+              attempted_at: previous.failed_at,
+              trigger: "batch",
+              error_message: previous.error_message,
+              retry_attempts: previous.retry_attempts,
+            },
+          ]
+        : []);
+
+    const attempts = history.concat({
+      attempted_at: now,
+      trigger,
+      error_message: error.message,
+      retry_attempts: config.processing.maxRetries,
+    });
+
+    // Automatic re-attempts after the first failure, with doubling backoff.
+    // Manual (API) retries neither use up the allowance nor add backoff.
+    const automaticAttempts = attempts.filter(
+      (attempt) => attempt.trigger !== "api"
+    ).length;
+    const autoRetries = automaticAttempts - 1;
+    const nextRetryAt =
+      config.processing.autoRetryFailed &&
+      autoRetries < config.processing.maxAutoRetries
+        ? new Date(
+            Date.now() + this.getRetryBackoffMs(automaticAttempts)
+          ).toISOString()
+        : null;
+
+    const metadata = {
+      ...previous,
+      first_failed_at: previous.first_failed_at || previous.failed_at || now,
+      failed_at: now,
+      error_message: error.message,
+      retry_attempts: config.processing.maxRetries,
+      attempts,
+      next_retry_at: nextRetryAt,
+    };
+
+    await FilesystemManager.writeJsonFile(metaFile, metadata);
+  }
+
+  /**
+   * Backoff before the next automatic re-attempt after N failed attempts
+   */
+  getRetryBackoffMs(failedAttempts) {
+    const minutes = Math.min(
+      config.processing.retryBackoffMinutes * 2 ** (failedAttempts - 1),
+      config.processing.retryBackoffMaxMinutes
+    );
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Check that a name refers to a quarantined log file (no path traversal)
+   */
+  async isFailedFile(filename) {
+    if (
+      !filename ||
+      path.basename(filename) !== filename ||
+      !filename.endsWith(".log")
+    ) {
+      return false;
+    }
+    return FilesystemManager.fileExists(
+      path.join(config.paths.failed, filename)
+    );
+  }
+
+  /**
+   * Re-attempt the upload of a quarantined file in place. On success the
+   * file and its .meta are removed; on failure the attempt is recorded.
+   * Returns the file's result in the run.
+   */
+  async retryFailedFile(filename, trigger, runRecord) {
+    const fileResult = this.runHistory.addFile(runRecord, filename, "retry");
+
+    try {
+      await this.processFile(filename, config.paths.failed, fileResult);
+      await FilesystemManager.removeFile(
+        path.join(config.paths.failed, `${filename}.meta`)
+      );
+      console.log(`Successfully re-uploaded quarantined file: ${filename}`);
+      fileResult.status = "uploaded";
+    } catch (error) {
+      console.error(`Retry failed for quarantined file ${filename}:`, error);
+      await this.recordFailedAttempt(filename, error, trigger);
+      fileResult.status = "failed";
+      fileResult.error_message = error.message;
+    }
+
+    await this.runHistory.save();
+    return fileResult;
+  }
+
+  /**
+   * Re-attempt quarantined files whose next_retry_at has passed
+   */
+  async retryDueFailures(runRecord) {
+    const failedFiles = await FilesystemManager.listFiles(
+      config.paths.failed,
+      (filename) => filename.endsWith(".log")
+    );
+    const now = Date.now();
+    const result = { succeeded: 0, failed: 0 };
+
+    for (const filename of failedFiles) {
+      const metaData = await FilesystemManager.readJsonFile(
+        path.join(config.paths.failed, `${filename}.meta`)
+      );
+      if (
+        !metaData ||
+        !metaData.next_retry_at ||
+        Date.parse(metaData.next_retry_at) > now
+      ) {
+        continue;
+      }
+
+      const outcome = await this.retryFailedFile(filename, "auto", runRecord);
+      result[outcome.status === "uploaded" ? "succeeded" : "failed"]++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Retry the given quarantined files (all of them if filenames is null)
+   * outside of a batch run, recorded as a "retry" run. Callers must check
+   * isProcessing first.
+   */
+  async retryFailures(filenames = null, trigger = "api") {
+    this.isProcessing = true;
+    const runRecord = this.runHistory.start("retry", trigger);
+    this.currentRun = runRecord;
+
+    try {
+      await this.runHistory.save();
+
+      const targets =
+        filenames ||
+        (await FilesystemManager.listFiles(config.paths.failed, (filename) =>
+          filename.endsWith(".log")
+        ));
+      const results = [];
+
+      for (const filename of targets) {
+        results.push(await this.retryFailedFile(filename, trigger, runRecord));
+      }
+
+      const failed = results.filter((result) => result.status === "failed");
+      await this.runHistory.finish(
+        runRecord,
+        failed.length > 0 ? "failed" : "success",
+        { files_processed: results.length - failed.length }
+      );
+
+      return results;
+    } catch (error) {
+      await this.runHistory
+        .finish(runRecord, "failed", { error_message: error.message })
+        .catch((historyError) =>
+          console.error("Failed to record retry run:", historyError)
+        );
+      throw error;
+    } finally {
+      this.isProcessing = false;
+      this.currentRun = null;
+    }
+  }
+
+  /**
+   * Permanently delete a quarantined file and its metadata
+   */
+  async purgeFailedFile(filename) {
+    for (const sink of this.sinks) {
+      await sink.abort(filename);
+    }
+    await FilesystemManager.removeFile(
+      path.join(config.paths.failed, filename)
+    );
+    await FilesystemManager.removeFile(
+      path.join(config.paths.failed, `${filename}.meta`)
+    );
+    console.log(`Purged quarantined file: ${filename}`);
+  }
 }
 
 module.exports = BatchProcessor;
@@ -0,0 +1,231 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const FilesystemManager = require("../utils/filesystem");
+const { parseBufferFilename } = require("../utils/partitioning");
+const config = require("../config");
+
+const EVICTION_MODES = ["archive", "drop"];
+
+/**
+ * Enforces the size and age quotas of the failed/ and processing/ buffer
+ * directories. Files over quota are evicted oldest hour first: compressed
+ * into evicted/ or dropped. Evictions are logged in status/evictions.json.
+ */
+class BufferRetention {
+  constructor() {
+    if (!EVICTION_MODES.includes(config.retention.evictionMode)) {
+      throw new Error(
+        `Unknown EVICTION_MODE: ${config.retention.evictionMode}`
+      );
+    }
+
+    this.logPath = path.join(config.paths.status, "evictions.json");
+    // Eviction records, oldest first
+    this.evictions = [];
+    // Totals since the log was started (not trimmed with the records)
+    this.totals = { files: 0, bytes: 0 };
+    // Serialize writes so overlapping saves don't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the eviction log from the status directory
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.logPath);
+    this.evictions = (data && data.evictions) || [];
+    this.totals = (data && data.totals) || { files: 0, bytes: 0 };
+  }
+
+  /**
+   * Persist the eviction log to the status directory
+   */
+  async save() {
+    const snapshot = { totals: this.totals, evictions: this.evictions };
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => FilesystemManager.writeJsonFile(this.logPath, snapshot));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Evict files over quota from failed/ and processing/. Must not run while
+   * a batch is moving files through processing/. Returns the evictions.
+   */
+  async enforce(now = Date.now()) {
+    const evicted = [];
+
+    for (const directory of ["failed", "processing"]) {
+      const quota = config.retention[directory];
+      if (!(quota.maxBytes > 0) && !(quota.maxAgeHours > 0)) {
+        continue;
+      }
+
+      const candidates = await this.selectEvictions(directory, quota, now);
+      for (const candidate of candidates) {
+        try {
+          evicted.push(await this.evict(directory, candidate));
+        } catch (error) {
+          console.error(
+            `Failed to evict ${directory}/${candidate.filename}:`,
+            error
+          );
+        }
+      }
+    }
+
+    if (evicted.length > 0) {
+      await this.save();
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Files of a directory that exceed its quota, oldest hour first: all
+   * files older than maxAgeHours, then the oldest until the rest fit in
+   * maxBytes
+   */
+  async selectEvictions(directory, quota, now) {
+    const dirPath = config.paths[directory];
+    const filenames = await FilesystemManager.listFiles(dirPath, (filename) =>
+      filename.endsWith(".log")
+    );
+
+    const files = [];
+    for (const filename of filenames) {
+      try {
+        const stats = await fs.promises.stat(path.join(dirPath, filename));
+        files.push({
+          filename,
+          size: stats.size,
+          hourStart: this.getHourStart(filename, stats),
+        });
+      } catch (error) {
+        // Gone in the meantime (retried or purged)
+      }
+    }
+
+    files.sort(
+      (a, b) =>
+        a.hourStart - b.hourStart || a.filename.localeCompare(b.filename)
+    );
+
+    let totalBytes = files.reduce((total, file) => total + file.size, 0);
+    const maxAgeMs = quota.maxAgeHours * 60 * 60 * 1000;
+    const selected = [];
+
+    for (const file of files) {
+      if (quota.maxAgeHours > 0 && now - file.hourStart > maxAgeMs) {
+        file.reason = "max_age";
+      } else if (quota.maxBytes > 0 && totalBytes > quota.maxBytes) {
+        file.reason = "max_size";
+      } else {
+        continue;
+      }
+      selected.push(file);
+      totalBytes -= file.size;
+    }
+
+    return selected;
+  }
+
+  /**
+   * Start of the hour a buffer file holds (modification time for files
+   * that don't follow the naming scheme)
+   */
+  getHourStart(filename, stats) {
+    const parsed = parseBufferFilename(filename);
+    if (!parsed) {
+      return stats.mtimeMs;
+    }
+    return Date.UTC(
+      Number(parsed.year),
+      Number(parsed.month) - 1,
+      Number(parsed.day),
+      Number(parsed.hour)
+    );
+  }
+
+  /**
+   * Archive or drop one file (and its .meta in failed/) and log it
+   */
+  async evict(directory, { filename, size, reason }) {
+    const filePath = path.join(config.paths[directory], filename);
+    const metaPath = `${filePath}.meta`;
+    const metaData =
+      directory === "failed"
+        ? await FilesystemManager.readJsonFile(metaPath)
+        : null;
+
+    const record = {
+      file_name: filename,
+      directory,
+      reason,
+      action:
+        config.retention.evictionMode === "archive" ? "archived" : "dropped",
+      bytes: size,
+      evicted_at: new Date().toISOString(),
+    };
+
+    if (metaData) {
+      record.error_message = metaData.error_message;
+      record.attempt_count = (metaData.attempts || []).length || 1;
+    }
+
+    if (record.action === "archived") {
+      // Late lines of an already evicted hour are appended as another gzip
+      // member, which gunzip reads as one stream
+      record.archive_path = path.join(config.paths.evicted, `${filename}.gz`);
+      await pipeline(
+        fs.createReadStream(filePath),
+        zlib.createGzip(),
+        fs.createWriteStream(record.archive_path, { flags: "a" })
+      );
+    }
+
+    await FilesystemManager.removeFile(filePath);
+    await FilesystemManager.removeFile(metaPath);
+
+    this.evictions.push(record);
+    const limit = Math.max(1, config.retention.evictionLogLimit);
+    if (this.evictions.length > limit) {
+      this.evictions.splice(0, this.evictions.length - limit);
+    }
+    this.totals.files++;
+    this.totals.bytes += size;
+
+    console.warn(
+      `Evicted ${directory}/${filename} (${reason}, ${size} bytes): ${record.action}`
+    );
+    return record;
+  }
+
+  /**
+   * Quotas, eviction totals and the most recent evictions (newest first)
+   */
+  getState(recentLimit = 20) {
+    const { evictionMode, failed, processing } = config.retention;
+    const toQuota = (quota) => ({
+      max_bytes: quota.maxBytes || null,
+      max_age_hours: quota.maxAgeHours || null,
+    });
+
+    return {
+      eviction_mode: evictionMode,
+      quotas: {
+        failed: toQuota(failed),
+        processing: toQuota(processing),
+      },
+      evicted_files: this.totals.files,
+      evicted_bytes: this.totals.bytes,
+      recent_evictions: this.evictions.slice(-recentLimit).reverse(),
+    };
+  }
+}
+
+module.exports = BufferRetention;
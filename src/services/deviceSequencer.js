@@ -0,0 +1,102 @@
+const path = require("path");
+const FilesystemManager = require("../utils/filesystem");
+const config = require("../config");
+
+// Sequence numbers reserved on disk at a time per device
+const SEQUENCE_BLOCK = 10000;
+
+/**
+ * Per-device sequence numbers for log entries, increasing across requests
+ * and restarts. Numbers are reserved in blocks in the status directory, so
+ * the file is only written once per block; after a restart a device
+ * continues after its last reserved block (numbers may skip, never repeat).
+ */
+class DeviceSequencer {
+  constructor() {
+    this.statePath = path.join(config.paths.status, "device_sequences.json");
+    // Per device { next, reserved }, key: device id
+    this.devices = new Map();
+    // Serialize writes; saves requested while one is queued share it
+    this.writeQueue = Promise.resolve();
+    this.savePending = false;
+    // Set when the last write failed; the next persisted() writes again
+    this.saveFailed = false;
+  }
+
+  /**
+   * Load reserved blocks from the status directory
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.statePath);
+    const reserved = (data && data.devices) || {};
+
+    this.devices.clear();
+    for (const [deviceId, last] of Object.entries(reserved)) {
+      this.devices.set(deviceId, { next: last + 1, reserved: last });
+    }
+  }
+
+  /**
+   * Persist the reserved blocks. A save requested while another is waiting
+   * to be written is covered by that one.
+   */
+  save() {
+    if (this.savePending) {
+      return this.writeQueue;
+    }
+
+    this.savePending = true;
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => {
+        this.savePending = false;
+        const devices = {};
+        for (const [deviceId, state] of this.devices) {
+          devices[deviceId] = state.reserved;
+        }
+        return FilesystemManager.writeJsonFile(this.statePath, { devices });
+      });
+    this.writeQueue.catch(() => {
+      this.saveFailed = true;
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Next sequence number of a device. Reserves (and starts saving) a new
+   * block when the current one is used up; call persisted() before writing
+   * entries carrying the number.
+   */
+  next(deviceId) {
+    let state = this.devices.get(deviceId);
+    if (!state) {
+      state = { next: 1, reserved: 0 };
+      this.devices.set(deviceId, state);
+    }
+
+    if (state.next > state.reserved) {
+      state.reserved = state.next + SEQUENCE_BLOCK - 1;
+      this.save().catch((error) =>
+        console.error("Failed to save device sequences:", error)
+      );
+    }
+
+    return state.next++;
+  }
+
+  /**
+   * Resolves once every number handed out so far is covered by a saved block.
+   * After a failed write the blocks are written again, so one disk error
+   * only fails the writes waiting on it.
+   */
+  persisted() {
+    if (this.saveFailed) {
+      this.saveFailed = false;
+      return this.save();
+    }
+    return this.writeQueue;
+  }
+}
+
+module.exports = DeviceSequencer;
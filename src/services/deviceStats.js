@@ -0,0 +1,141 @@
+const path = require("path");
+const FilesystemManager = require("../utils/filesystem");
+const config = require("../config");
+
+/**
+ * Per-device ingestion counters and first/last-seen times. Kept in memory
+ * and saved to the status directory every few seconds (not on every upload)
+ * and on shutdown.
+ */
+class DeviceStats {
+  constructor() {
+    this.statsPath = path.join(config.paths.status, "device_stats.json");
+    // Device records, key: device id
+    this.devices = new Map();
+    // Pending save timer, set while there are unsaved changes
+    this.saveTimer = null;
+    // Serialize writes so a slow save isn't overtaken by the next one
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load saved stats from the status directory
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.statsPath);
+    const records = (data && data.devices) || [];
+
+    this.devices.clear();
+    for (const record of records) {
+      this.devices.set(record.device_id, record);
+    }
+
+    console.log(`Loaded ingestion stats for ${this.devices.size} devices`);
+  }
+
+  /**
+   * Persist the stats to the status directory
+   */
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const snapshot = { devices: Array.from(this.devices.values()) };
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => FilesystemManager.writeJsonFile(this.statsPath, snapshot));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Save after config.deviceStats.saveIntervalSeconds unless a save is
+   * already pending
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) =>
+        console.error("Failed to save device stats:", error)
+      );
+    }, config.deviceStats.saveIntervalSeconds * 1000);
+    // Don't keep the process alive just to save stats
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Record an upload request from a device
+   */
+  record(deviceId, { lines, bytes, unparseableLines }) {
+    const now = new Date().toISOString();
+    let record = this.devices.get(deviceId);
+
+    if (!record) {
+      record = {
+        device_id: deviceId,
+        requests: 0,
+        lines: 0,
+        bytes: 0,
+        unparseable_lines: 0,
+        first_seen: now,
+        last_seen: now,
+      };
+      this.devices.set(deviceId, record);
+    }
+
+    record.requests++;
+    record.lines += lines;
+    record.bytes += bytes;
+    record.unparseable_lines += unparseableLines;
+    record.last_seen = now;
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Add how long a device has been silent to its record
+   */
+  toPublic(record, now = Date.now()) {
+    return {
+      ...record,
+      silent_seconds: Math.floor((now - Date.parse(record.last_seen)) / 1000),
+    };
+  }
+
+  /**
+   * List devices, most recently seen first. With silentMinutes, only the
+   * devices not seen for longer than that.
+   */
+  list(silentMinutes = null) {
+    const now = Date.now();
+    let records = Array.from(this.devices.values());
+
+    if (silentMinutes !== null) {
+      const cutoff = now - silentMinutes * 60 * 1000;
+      records = records.filter(
+        (record) => Date.parse(record.last_seen) < cutoff
+      );
+    }
+
+    return records
+      .sort((a, b) => Date.parse(b.last_seen) - Date.parse(a.last_seen))
+      .map((record) => this.toPublic(record, now));
+  }
+
+  /**
+   * Get a device's stats, or null if it has never uploaded
+   */
+  get(deviceId) {
+    const record = this.devices.get(deviceId);
+    return record ? this.toPublic(record) : null;
+  }
+}
+
+module.exports = DeviceStats;
@@ -0,0 +1,138 @@
+const FilesystemManager = require("../utils/filesystem");
+const { metrics } = require("../utils/metrics");
+const config = require("../config");
+
+/**
+ * Periodic check of the buffer volume's disk usage. Above the soft
+ * threshold an early batch run is requested to move data off the volume;
+ * above the hard threshold uploads are refused until usage drops again.
+ * A failed measurement keeps the last good reading in force for up to
+ * config.diskPressure.maxReadingAgeSeconds, so a transient error does not
+ * stop ingestion; with no reading that recent the level is "unknown" and
+ * uploads are refused, as the volume could be filling up unnoticed.
+ */
+class DiskMonitor {
+  constructor() {
+    // Last good reading, and when it was taken (ms)
+    this.usagePercent = null;
+    this.measuredAt = null;
+    // Measurements failed in a row
+    this.failedChecks = 0;
+    // "ok", "soft", "hard" or "unknown"
+    this.level = "ok";
+    this.checkedAt = null;
+    this.rejectedUploads = 0;
+    this.timer = null;
+    // Called when usage rises above the soft threshold
+    this.onSoftThreshold = null;
+  }
+
+  /**
+   * Check now and then every config.diskPressure.checkIntervalSeconds
+   */
+  async start(onSoftThreshold = null) {
+    this.onSoftThreshold = onSoftThreshold;
+    await this.check();
+
+    this.timer = setInterval(() => {
+      this.check().catch((error) =>
+        console.error("Disk usage check failed:", error)
+      );
+    }, config.diskPressure.checkIntervalSeconds * 1000);
+    // Don't keep the process alive just to watch the disk
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Measure disk usage and update the pressure level
+   */
+  async check(now = Date.now()) {
+    const { softThresholdPercent, hardThresholdPercent, maxReadingAgeSeconds } =
+      config.diskPressure;
+    const reading = await FilesystemManager.getDiskUsage();
+    const previousLevel = this.level;
+
+    this.checkedAt = new Date(now).toISOString();
+    if (reading === null) {
+      this.failedChecks++;
+    } else {
+      this.usagePercent = reading;
+      this.measuredAt = now;
+      this.failedChecks = 0;
+    }
+
+    // The last good reading, unless it is too old to rely on
+    const usagePercent =
+      this.measuredAt !== null &&
+      now - this.measuredAt <= maxReadingAgeSeconds * 1000
+        ? this.usagePercent
+        : null;
+    metrics.diskUsage.set({}, usagePercent === null ? NaN : usagePercent);
+
+    if (usagePercent === null) {
+      this.level = "unknown";
+    } else if (usagePercent >= hardThresholdPercent) {
+      this.level = "hard";
+    } else if (usagePercent >= softThresholdPercent) {
+      this.level = "soft";
+    } else {
+      this.level = "ok";
+    }
+
+    if (this.level !== previousLevel) {
+      const usage = usagePercent === null ? "unknown" : `${usagePercent}%`;
+      const message = `Disk usage ${usage} of ${config.paths.base}: pressure ${previousLevel} -> ${this.level}`;
+      if (this.level === "ok") {
+        console.log(message);
+      } else {
+        console.warn(message);
+      }
+    }
+
+    // Request an early batch once per rise above the soft threshold
+    if (
+      previousLevel === "ok" &&
+      (this.level === "soft" || this.level === "hard") &&
+      this.onSoftThreshold
+    ) {
+      this.onSoftThreshold(usagePercent);
+    }
+  }
+
+  /**
+   * True if uploads must be refused (hard threshold reached, or no
+   * measurement within maxReadingAgeSeconds)
+   */
+  isFull() {
+    return this.level === "hard" || this.level === "unknown";
+  }
+
+  recordRejected() {
+    this.rejectedUploads++;
+  }
+
+  getState() {
+    return {
+      usage_percent: this.usagePercent,
+      level: this.level,
+      soft_threshold_percent: config.diskPressure.softThresholdPercent,
+      hard_threshold_percent: config.diskPressure.hardThresholdPercent,
+      checked_at: this.checkedAt,
+      measured_at: this.measuredAt && new Date(this.measuredAt).toISOString(),
+      failed_checks: this.failedChecks,
+      rejected_uploads: this.rejectedUploads,
+    };
+  }
+}
+
+// Shared by the upload route, the monitoring API and the app (same process)
+const diskMonitor = new DiskMonitor();
+
+module.exports = { DiskMonitor, diskMonitor };
@@ -0,0 +1,230 @@
+const fs = require("fs");
+const path = require("path");
+const FilesystemManager = require("../utils/filesystem");
+const config = require("../config");
+
+// Journal entries appended before the snapshot is rewritten
+const COMPACT_AFTER_ENTRIES = 1000;
+
+/**
+ * Recently accepted upload keys per device (Idempotency-Key header or body
+ * hash), so a retried upload is answered with the original response instead
+ * of being written again. Bounded by count and age. Each accepted key is
+ * appended to a journal in the status directory before the upload is
+ * acknowledged; the journal is folded into the snapshot file every
+ * COMPACT_AFTER_ENTRIES entries and at startup. For uploads that failed after
+ * part of the body was written, the number of lines written is kept, so a
+ * retry with the same key continues after them.
+ */
+class IdempotencyStore {
+  constructor() {
+    this.storePath = path.join(config.paths.status, "idempotency_keys.json");
+    this.journalPath = path.join(
+      config.paths.status,
+      "idempotency_keys.journal"
+    );
+    this.journalEntries = 0;
+    // Accepted uploads in acceptance order, key: "<device id>\n<key>"
+    this.records = new Map();
+    // Uploads still being processed, same keys
+    this.inFlight = new Set();
+    // Failed uploads with lines already written, same keys
+    this.partial = new Map();
+    // Serialize journal appends and snapshot writes
+    this.writeQueue = Promise.resolve();
+  }
+
+  static recordKey(deviceId, key) {
+    return `${deviceId}\n${key}`;
+  }
+
+  /**
+   * Load the snapshot and the journal written since, then compact them
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.storePath);
+
+    this.records.clear();
+    this.partial.clear();
+    for (const record of (data && data.keys) || []) {
+      this.applyEntry({ accepted: record });
+    }
+    for (const record of (data && data.partial) || []) {
+      this.applyEntry({ partial: record });
+    }
+
+    let journal = "";
+    try {
+      journal = await fs.promises.readFile(this.journalPath, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    for (const line of journal.split("\n")) {
+      try {
+        this.applyEntry(JSON.parse(line));
+      } catch (error) {
+        // Empty or torn last line of an interrupted append
+      }
+    }
+
+    await this.compact();
+
+    console.log(`Loaded ${this.records.size} idempotency keys`);
+  }
+
+  /**
+   * Apply a snapshot or journal entry ({ accepted } or { partial })
+   */
+  applyEntry(entry) {
+    const record = entry.accepted || entry.partial;
+    const recordKey = IdempotencyStore.recordKey(record.device_id, record.key);
+
+    if (entry.accepted) {
+      this.partial.delete(recordKey);
+      this.records.delete(recordKey);
+      this.records.set(recordKey, record);
+    } else {
+      this.partial.set(recordKey, record);
+    }
+  }
+
+  /**
+   * Run a write after the ones already queued
+   */
+  enqueue(write) {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Append an entry to the journal, compacting it once it has grown
+   */
+  append(entry) {
+    return this.enqueue(async () => {
+      await fs.promises.appendFile(
+        this.journalPath,
+        JSON.stringify(entry) + "\n"
+      );
+      if (++this.journalEntries >= COMPACT_AFTER_ENTRIES) {
+        this.compact().catch((error) =>
+          console.error("Failed to compact idempotency keys:", error)
+        );
+      }
+    });
+  }
+
+  /**
+   * Write the current (trimmed) keys as the snapshot and empty the journal.
+   * If interrupted in between, replaying the journal again is harmless.
+   */
+  compact() {
+    return this.enqueue(async () => {
+      this.trim();
+      await FilesystemManager.writeJsonFile(this.storePath, {
+        keys: Array.from(this.records.values()),
+        partial: Array.from(this.partial.values()),
+      });
+      await fs.promises.writeFile(this.journalPath, "");
+      this.journalEntries = 0;
+    });
+  }
+
+  /**
+   * Drop keys older than the TTL and the oldest beyond the size limit
+   */
+  trim(now = Date.now()) {
+    const cutoff = now - config.idempotency.ttlHours * 60 * 60 * 1000;
+
+    for (const [recordKey, record] of this.records) {
+      if (
+        Date.parse(record.accepted_at) >= cutoff &&
+        this.records.size <= config.idempotency.maxKeys
+      ) {
+        break;
+      }
+      this.records.delete(recordKey);
+    }
+
+    for (const [recordKey, record] of this.partial) {
+      if (Date.parse(record.updated_at) < cutoff) {
+        this.partial.delete(recordKey);
+      }
+    }
+  }
+
+  /**
+   * The accepted upload for a key, or null
+   */
+  lookup(deviceId, key) {
+    this.trim();
+    return this.records.get(IdempotencyStore.recordKey(deviceId, key)) || null;
+  }
+
+  /**
+   * Mark a key as being processed. Returns false if an upload with the same
+   * key is already in progress.
+   */
+  begin(deviceId, key) {
+    const recordKey = IdempotencyStore.recordKey(deviceId, key);
+    if (this.inFlight.has(recordKey)) {
+      return false;
+    }
+    this.inFlight.add(recordKey);
+    return true;
+  }
+
+  /**
+   * Lines of the key's body written by earlier failed attempts
+   */
+  linesWritten(deviceId, key) {
+    const record = this.partial.get(IdempotencyStore.recordKey(deviceId, key));
+    return record ? record.lines_written : 0;
+  }
+
+  /**
+   * Forget an in-progress key whose upload failed, so a retry is processed.
+   * If linesWritten lines of the body made it to the buffer, they are
+   * remembered (and saved) so the retry skips them.
+   */
+  release(deviceId, key, linesWritten = 0) {
+    const recordKey = IdempotencyStore.recordKey(deviceId, key);
+    this.inFlight.delete(recordKey);
+
+    if (linesWritten > this.linesWritten(deviceId, key)) {
+      const record = {
+        device_id: deviceId,
+        key,
+        lines_written: linesWritten,
+        updated_at: new Date().toISOString(),
+      };
+      this.applyEntry({ partial: record });
+      this.append({ partial: record }).catch((error) =>
+        console.error("Failed to save idempotency keys:", error)
+      );
+    }
+  }
+
+  /**
+   * Remember an accepted upload and its response, and append it to the
+   * journal
+   */
+  async complete(deviceId, key, source, response) {
+    const record = {
+      device_id: deviceId,
+      key,
+      source,
+      accepted_at: new Date().toISOString(),
+      response,
+    };
+
+    this.inFlight.delete(IdempotencyStore.recordKey(deviceId, key));
+    this.applyEntry({ accepted: record });
+    this.trim();
+
+    await this.append({ accepted: record });
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const path = require("path");
+const FilesystemManager = require("../utils/filesystem");
+const config = require("../config");
+
+class KeyRegistry {
+  constructor() {
+    this.registryPath = path.join(config.paths.status, "api_keys.json");
+    // In-memory copy of the registry, key: key id, value: key record
+    this.keys = new Map();
+    // Lookup index, key: sha256 of the API key, value: key id
+    this.hashIndex = new Map();
+    // Serialize writes so concurrent admin calls don't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the registry from the status directory
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.registryPath);
+    const records = (data && data.keys) || [];
+
+    this.keys.clear();
+    this.hashIndex.clear();
+
+    for (const record of records) {
+      this.keys.set(record.id, record);
+      this.hashIndex.set(record.key_hash, record.id);
+    }
+
+    console.log(`Loaded ${this.keys.size} device API keys from registry`);
+  }
+
+  /**
+   * Persist the registry to the status directory
+   */
+  async save() {
+    const snapshot = { keys: Array.from(this.keys.values()) };
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => FilesystemManager.writeJsonFile(this.registryPath, snapshot));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Hash an API key for storage and lookup (raw keys are never persisted)
+   */
+  hashKey(apiKey) {
+    return crypto.createHash("sha256").update(apiKey).digest("hex");
+  }
+
+  /**
+   * Check whether a key record can currently be used
+   */
+  isActive(record, now = Date.now()) {
+    if (record.revoked_at) {
+      return false;
+    }
+    if (record.expires_at && Date.parse(record.expires_at) <= now) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Resolve an API key to its active registry record, or null
+   */
+  lookup(apiKey) {
+    const id = this.hashIndex.get(this.hashKey(apiKey));
+    if (!id) {
+      return null;
+    }
+
+    const record = this.keys.get(id);
+    return record && this.isActive(record) ? record : null;
+  }
+
+  /**
+   * Strip secrets from a record before returning it over the API
+   */
+  toPublic(record) {
+    return {
+      id: record.id,
+      device_id: record.device_id,
+      created_at: record.created_at,
+      expires_at: record.expires_at || null,
+      revoked_at: record.revoked_at || null,
+      rotated_to: record.rotated_to || null,
+      active: this.isActive(record),
+    };
+  }
+
+  /**
+   * List key records, optionally for a single device
+   */
+  list(deviceId = null) {
+    const records = Array.from(this.keys.values());
+    return (
+      deviceId ? records.filter((r) => r.device_id === deviceId) : records
+    ).map((record) => this.toPublic(record));
+  }
+
+  /**
+   * Issue a new key for a device. The raw key is only returned here.
+   */
+  async issue(deviceId) {
+    if (!deviceId || typeof deviceId !== "string") {
+      throw new Error("Invalid device_id");
+    }
+
+    const id = crypto.randomBytes(8).toString("hex");
+    const apiKey = `hrl_${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id,
+      device_id: deviceId,
+      key_hash: this.hashKey(apiKey),
+      created_at: new Date().toISOString(),
+    };
+
+    this.keys.set(id, record);
+    this.hashIndex.set(record.key_hash, id);
+    await this.save();
+
+    return { ...this.toPublic(record), key: apiKey };
+  }
+
+  /**
+   * Issue a replacement key and retire the old one, optionally after a
+   * grace period so devices have time to pick up the new key
+   */
+  async rotate(id, graceSeconds = 0) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return null;
+    }
+    if (!this.isActive(record)) {
+      throw new Error("Key is not active");
+    }
+
+    const issued = await this.issue(record.device_id);
+
+    record.rotated_to = issued.id;
+    if (graceSeconds > 0) {
+      record.expires_at = new Date(
+        Date.now() + graceSeconds * 1000
+      ).toISOString();
+    } else {
+      record.revoked_at = new Date().toISOString();
+    }
+    await this.save();
+
+    return { previous: this.toPublic(record), current: issued };
+  }
+
+  /**
+   * Revoke a key immediately
+   */
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revoked_at) {
+      record.revoked_at = new Date().toISOString();
+      await this.save();
+    }
+
+    return this.toPublic(record);
+  }
+}
+
+module.exports = KeyRegistry;
@@ -0,0 +1,245 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const FilesystemManager = require("../utils/filesystem");
+const { parseBufferFilename } = require("../utils/partitioning");
+const config = require("../config");
+
+// Buffer directories searched, oldest data first
+const SEARCH_DIRECTORIES = ["processing", "incoming"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Search order of buffer files: by hour (the filename starts with it), then
+ * processing/ before incoming/ for the same file
+ */
+function compareFiles(a, b) {
+  if (a.filename !== b.filename) {
+    return a.filename < b.filename ? -1 : 1;
+  }
+  return (
+    SEARCH_DIRECTORIES.indexOf(a.directory) -
+    SEARCH_DIRECTORIES.indexOf(b.directory)
+  );
+}
+
+/**
+ * Search of the buffered (not yet archived) entries in processing/ and
+ * incoming/. Files are read as streams in hour order, so a search yields to
+ * the event loop between chunks; it stops after `limit` matches or
+ * config.search.maxScanLines scanned lines and returns a cursor to continue
+ * from.
+ *
+ * filters: { deviceId, from, to (ms), substring, regex (RegExp) }
+ */
+class LogSearch {
+  constructor(filters = {}) {
+    this.filters = filters;
+  }
+
+  /**
+   * Encode a position ({ directory, filename, line }) as an opaque cursor
+   */
+  static encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor, or null if it is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      if (
+        !SEARCH_DIRECTORIES.includes(position.directory) ||
+        typeof position.filename !== "string" ||
+        !Number.isInteger(position.line)
+      ) {
+        return null;
+      }
+      return position;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Buffer files that may hold matching entries, in search order, as
+   * { directory, filename }
+   */
+  async listCandidateFiles() {
+    const { deviceId, from, to } = this.filters;
+    const files = [];
+
+    for (const directory of SEARCH_DIRECTORIES) {
+      const filenames = await FilesystemManager.listFiles(
+        config.paths[directory],
+        (filename) => filename.endsWith(".log")
+      );
+
+      for (const filename of filenames) {
+        const parsed = parseBufferFilename(filename);
+        if (!parsed) {
+          continue;
+        }
+
+        // Device-partitioned files only hold that device's entries
+        const { partition } = parsed;
+        if (
+          deviceId &&
+          partition &&
+          partition.key === "device_id" &&
+          partition.value !== deviceId
+        ) {
+          continue;
+        }
+
+        // Files only hold entries of their hour
+        const hourStart = Date.UTC(
+          Number(parsed.year),
+          Number(parsed.month) - 1,
+          Number(parsed.day),
+          Number(parsed.hour)
+        );
+        if (
+          (from !== undefined && hourStart + HOUR_MS <= from) ||
+          (to !== undefined && hourStart > to)
+        ) {
+          continue;
+        }
+
+        files.push({ directory, filename });
+      }
+    }
+
+    return files.sort(compareFiles);
+  }
+
+  /**
+   * Check an entry against the filters
+   */
+  matches(entry) {
+    const { deviceId, from, to, substring, regex } = this.filters;
+
+    if (deviceId && entry.device_id !== deviceId) {
+      return false;
+    }
+
+    if (from !== undefined || to !== undefined) {
+      const timestamp = Date.parse(entry.log_timestamp);
+      if (
+        (from !== undefined && !(timestamp >= from)) ||
+        (to !== undefined && !(timestamp <= to))
+      ) {
+        return false;
+      }
+    }
+
+    const message = String(entry.message);
+    if (substring && !message.includes(substring)) {
+      return false;
+    }
+    if (regex && !regex.test(message)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Run the search. Returns { entries, nextCursor } where nextCursor is null
+   * once every candidate file has been scanned. isCancelled() is polled to
+   * stop early when the client has gone away.
+   */
+  async run({ limit, cursor = null, isCancelled = () => false }) {
+    const files = await this.listCandidateFiles();
+    const entries = [];
+    let scannedLines = 0;
+
+    // Resume after the cursor's position. Its file is matched by name, as
+    // it may have been swept from incoming/ to processing/ in the meantime;
+    // once archived, the search continues with the next hour.
+    let startIndex = 0;
+    let skipLines = 0;
+    if (cursor) {
+      const sameName = files.filter(
+        (file) => file.filename === cursor.filename
+      );
+      const resumeFile =
+        sameName.find((file) => file.directory === cursor.directory) ||
+        sameName[0];
+      if (resumeFile) {
+        startIndex = files.indexOf(resumeFile);
+        skipLines = cursor.line;
+      } else {
+        startIndex = files.findIndex((file) => file.filename > cursor.filename);
+        if (startIndex === -1) {
+          return { entries, nextCursor: null };
+        }
+      }
+    }
+
+    for (let i = startIndex; i < files.length; i++) {
+      const { directory, filename } = files[i];
+      const input = fs.createReadStream(
+        path.join(config.paths[directory], filename),
+        { encoding: "utf8" }
+      );
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      let lineNumber = 0;
+
+      try {
+        for await (const line of lines) {
+          lineNumber++;
+          if (lineNumber <= skipLines || !line) {
+            continue;
+          }
+
+          scannedLines++;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (error) {
+            // Partially written line at the end of an active file
+            continue;
+          }
+
+          if (this.matches(entry)) {
+            entries.push(entry);
+          }
+
+          if (
+            entries.length >= limit ||
+            scannedLines >= config.search.maxScanLines ||
+            (scannedLines % 1000 === 0 && isCancelled())
+          ) {
+            lines.close();
+            input.destroy();
+            return {
+              entries,
+              nextCursor: LogSearch.encodeCursor({
+                directory,
+                filename,
+                line: lineNumber,
+              }),
+            };
+          }
+        }
+      } catch (error) {
+        // Swept or archived while being read; continue with the next file
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+
+      skipLines = 0;
+    }
+
+    return { entries, nextCursor: null };
+  }
+}
+
+module.exports = LogSearch;
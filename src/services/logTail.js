@@ -0,0 +1,204 @@
+const config = require("../config");
+
+// Entries waiting to be filtered per subscriber; more are dropped
+const MAX_QUEUED_ENTRIES = 5000;
+// Filtering time per subscriber before yielding to other work (ingestion)
+const FILTER_BUDGET_MS = 10;
+
+/**
+ * Live tail of ingested entries over Server-Sent Events. Entries are
+ * published per device after they have been written to the buffer, and
+ * filtered and sent to each subscriber later, in turns of FILTER_BUDGET_MS
+ * interleaved with ingestion. Filtering still runs in this process and the
+ * budget is only checked between entries, so a single match must be cheap:
+ * subscriber regexes run on the linear-time engine (utils/linearRegex).
+ * Writes to a subscriber never wait: once more than
+ * config.tail.maxBufferedBytes are queued on its connection (or
+ * MAX_QUEUED_ENTRIES wait to be filtered), events for it are dropped and
+ * counted until it has drained, and a "dropped" event then reports the gap.
+ */
+class LogTail {
+  constructor() {
+    // Subscribers per device, key: device id, value: Set of subscribers
+    this.subscribers = new Map();
+    this.subscriberCount = 0;
+    this.heartbeatTimer = null;
+  }
+
+  hasSubscribers(deviceId) {
+    return this.subscribers.has(deviceId);
+  }
+
+  /**
+   * Register an SSE response for a device's entries. filter(entry) decides
+   * which entries are sent. Returns null when the subscriber limit is
+   * reached, otherwise a function that unsubscribes.
+   */
+  subscribe(deviceId, res, filter = () => true) {
+    if (this.subscriberCount >= config.tail.maxSubscribers) {
+      return null;
+    }
+
+    const subscriber = {
+      res,
+      filter,
+      // At least the high water mark, so a backed-up connection has had a
+      // write refused and will emit "drain"
+      maxBufferedBytes: Math.max(
+        config.tail.maxBufferedBytes,
+        res.writableHighWaterMark
+      ),
+      // Events are dropped until the connection drains
+      backedUp: false,
+      dropped: 0,
+      // Published entries not yet filtered, and whether a turn is scheduled
+      queue: [],
+      scheduled: false,
+      closed: false,
+    };
+    res.on("drain", () => this.onDrain(subscriber));
+
+    if (!this.subscribers.has(deviceId)) {
+      this.subscribers.set(deviceId, new Set());
+    }
+    this.subscribers.get(deviceId).add(subscriber);
+    this.subscriberCount++;
+    this.startHeartbeat();
+
+    return () => {
+      const deviceSubscribers = this.subscribers.get(deviceId);
+      if (!deviceSubscribers || !deviceSubscribers.delete(subscriber)) {
+        return;
+      }
+      subscriber.closed = true;
+      subscriber.queue = [];
+      if (deviceSubscribers.size === 0) {
+        this.subscribers.delete(deviceId);
+      }
+      this.subscriberCount--;
+      if (this.subscriberCount === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  /**
+   * True (and marked) if a subscriber's connection is backed up
+   */
+  isBackedUp(subscriber) {
+    if (subscriber.res.writableLength > subscriber.maxBufferedBytes) {
+      subscriber.backedUp = true;
+    }
+    return subscriber.backedUp;
+  }
+
+  /**
+   * Queue entries of a device for its subscribers. Only the backlog is
+   * checked here; filtering happens in deliver().
+   */
+  publish(deviceId, entries) {
+    const deviceSubscribers = this.subscribers.get(deviceId);
+    if (!deviceSubscribers || entries.length === 0) {
+      return;
+    }
+
+    for (const subscriber of deviceSubscribers) {
+      if (this.isBackedUp(subscriber)) {
+        subscriber.dropped += entries.length;
+        continue;
+      }
+
+      const room = MAX_QUEUED_ENTRIES - subscriber.queue.length;
+      subscriber.queue.push(...entries.slice(0, room));
+      subscriber.dropped += Math.max(entries.length - room, 0);
+
+      if (!subscriber.scheduled) {
+        subscriber.scheduled = true;
+        setImmediate(() => this.deliver(subscriber));
+      }
+    }
+  }
+
+  /**
+   * Filter and send queued entries for up to FILTER_BUDGET_MS, then yield
+   * and continue in a later turn
+   */
+  deliver(subscriber) {
+    const started = Date.now();
+
+    while (subscriber.queue.length > 0 && !subscriber.closed) {
+      if (Date.now() - started >= FILTER_BUDGET_MS) {
+        setImmediate(() => this.deliver(subscriber));
+        return;
+      }
+      if (this.isBackedUp(subscriber)) {
+        subscriber.dropped += subscriber.queue.length;
+        subscriber.queue = [];
+        break;
+      }
+
+      const entry = subscriber.queue.shift();
+      if (subscriber.filter(entry)) {
+        subscriber.res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+      }
+    }
+
+    subscriber.scheduled = false;
+    // Entries dropped for a full queue (not a backed-up connection) are
+    // reported once it is worked off
+    if (!subscriber.backedUp && !subscriber.closed) {
+      this.onDrain(subscriber);
+    }
+  }
+
+  /**
+   * Resume a drained subscriber, reporting how many events it missed
+   */
+  onDrain(subscriber) {
+    subscriber.backedUp = false;
+    if (subscriber.dropped > 0) {
+      const dropped = subscriber.dropped;
+      subscriber.dropped = 0;
+      subscriber.res.write(
+        `event: dropped\ndata: ${JSON.stringify({ dropped })}\n\n`
+      );
+    }
+  }
+
+  /**
+   * Comment lines keep idle connections from being closed by proxies
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      for (const deviceSubscribers of this.subscribers.values()) {
+        for (const subscriber of deviceSubscribers) {
+          if (!subscriber.backedUp) {
+            subscriber.res.write(": heartbeat\n\n");
+          }
+        }
+      }
+    }, config.tail.heartbeatSeconds * 1000);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  getState() {
+    return {
+      subscribers: this.subscriberCount,
+      devices: Array.from(this.subscribers.keys()),
+    };
+  }
+}
+
+// Shared by the log processor and the tail route (same process)
+const logTail = new LogTail();
+
+module.exports = { LogTail, logTail };
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const path = require("path");
+const FilesystemManager = require("../utils/filesystem");
+const config = require("../config");
+
+/**
+ * File-backed history of batch runs with per-file outcomes, trimmed to the
+ * configured retention limit
+ */
+class RunHistory {
+  constructor() {
+    this.historyPath = path.join(config.paths.status, "run_history.json");
+    // Run records, oldest first
+    this.runs = [];
+    // Serialize writes so overlapping saves don't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the history from the status directory. Runs still marked as
+   * running were cut short by a restart.
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.historyPath);
+    this.runs = (data && data.runs) || [];
+
+    for (const run of this.runs) {
+      if (run.status === "running") {
+        run.status = "interrupted";
+      }
+    }
+  }
+
+  /**
+   * Persist the history to the status directory
+   */
+  async save() {
+    const snapshot = { runs: this.runs };
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => FilesystemManager.writeJsonFile(this.historyPath, snapshot));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Start recording a run. type is "batch" or "retry", trigger is "cron",
+   * "api", "auto" or "disk". The caller saves the history.
+   */
+  start(type, trigger) {
+    const run = {
+      id: crypto.randomBytes(8).toString("hex"),
+      type,
+      trigger,
+      status: "running",
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_seconds: null,
+      files: [],
+    };
+
+    this.runs.push(run);
+
+    const limit = Math.max(1, config.processing.runHistoryLimit);
+    if (this.runs.length > limit) {
+      this.runs.splice(0, this.runs.length - limit);
+    }
+
+    return run;
+  }
+
+  /**
+   * Add a file to a run; the returned result is filled in while the file
+   * is processed
+   */
+  addFile(run, filename, phase) {
+    const fileResult = { file_name: filename, phase, status: "processing" };
+    run.files.push(fileResult);
+    return fileResult;
+  }
+
+  /**
+   * Record the outcome of a run and persist it
+   */
+  async finish(run, status, additionalData = {}) {
+    run.status = status;
+    run.finished_at = new Date().toISOString();
+    run.duration_seconds = parseFloat(
+      (
+        (Date.parse(run.finished_at) - Date.parse(run.started_at)) /
+        1000
+      ).toFixed(1)
+    );
+    Object.assign(run, additionalData);
+
+    await this.save();
+  }
+
+  /**
+   * Summary of a run without its per-file results
+   */
+  toSummary(run) {
+    const { files, ...summary } = run;
+    return {
+      ...summary,
+      files_total: files.length,
+      files_failed: files.filter((file) => file.status === "failed").length,
+    };
+  }
+
+  /**
+   * Most recent runs first
+   */
+  list(limit) {
+    return this.runs
+      .slice(-limit)
+      .reverse()
+      .map((run) => this.toSummary(run));
+  }
+
+  /**
+   * Most recent batch run that finished successfully, or null
+   */
+  getLastSuccessfulBatch() {
+    for (let i = this.runs.length - 1; i >= 0; i--) {
+      const run = this.runs[i];
+      if (run.type === "batch" && run.status === "success") {
+        return run;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a run with its per-file results, or null
+   */
+  get(id) {
+    return this.runs.find((run) => run.id === id) || null;
+  }
+}
+
+module.exports = RunHistory;
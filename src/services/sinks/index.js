@@ -0,0 +1,78 @@
+const S3Sink = require("./s3Sink");
+const LocalSink = require("./localSink");
+const config = require("../../config");
+
+/**
+ * Archive sinks store compressed hourly files under a relative key. Every
+ * sink implements:
+ *
+ *   initialize()                    load state / prepare the destination
+ *   exists(key, archive)            true if the same archive is already stored
+ *   upload(filePath, archive)       store the archive under archive.key
+ *   abort(filename)                 drop partial uploads of a buffer file
+ *   cleanup()                       drop partial uploads of files that are gone
+ *   describe()                      destination, for logs
+ *
+ * where archive is { filename, key, size, checksum: { hex, base64 } }.
+ */
+const SINK_TYPES = {
+  s3: S3Sink,
+  "s3-compatible": S3Sink,
+  local: LocalSink,
+};
+
+/**
+ * Sink settings from SINK_CONFIG_PATH, or a single S3 sink built from the
+ * AWS settings
+ */
+function getSinkSettings() {
+  if (config.sinks) {
+    return config.sinks;
+  }
+
+  return [
+    {
+      name: "s3",
+      type: config.aws.endpoint ? "s3-compatible" : "s3",
+      bucket: config.aws.s3BucketName,
+      region: config.aws.region,
+      endpoint: config.aws.endpoint,
+      forcePathStyle: config.aws.forcePathStyle,
+      accessKeyId: config.aws.accessKeyId,
+      secretAccessKey: config.aws.secretAccessKey,
+    },
+  ];
+}
+
+/**
+ * Create the configured sinks. Archives are written to every sink, so more
+ * than one sink mirrors them.
+ */
+function createSinks(settingsList = getSinkSettings()) {
+  if (!Array.isArray(settingsList) || settingsList.length === 0) {
+    throw new Error("At least one archive sink must be configured");
+  }
+
+  const names = new Set();
+
+  return settingsList.map((settings) => {
+    const Sink = SINK_TYPES[settings.type];
+    if (!Sink) {
+      throw new Error(`Unknown archive sink type: ${settings.type}`);
+    }
+
+    // Names end up in status file names
+    const name = settings.name || settings.type;
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid archive sink name: ${name}`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate archive sink name: ${name}`);
+    }
+    names.add(name);
+
+    return new Sink({ ...settings, name });
+  });
+}
+
+module.exports = { SINK_TYPES, createSinks };
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const FilesystemManager = require("../../utils/filesystem");
+
+/**
+ * Archive sink for a local or network-mounted (NFS/SMB) directory. Archives
+ * are stored under the same relative keys as in S3, written to a temporary
+ * file, verified against the archive's SHA-256 and then renamed into place.
+ */
+class LocalSink {
+  constructor(settings) {
+    this.name = settings.name;
+    this.type = settings.type;
+
+    if (!settings.path) {
+      throw new Error(`Sink ${this.name}: path is required`);
+    }
+    this.basePath = path.resolve(settings.path);
+  }
+
+  /**
+   * Where this sink stores archives, for logs
+   */
+  describe() {
+    return this.basePath;
+  }
+
+  /**
+   * Make sure the archive directory exists
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.basePath, { recursive: true });
+  }
+
+  /**
+   * Resolve an archive key to a path inside the archive directory
+   */
+  resolveKey(key) {
+    const target = path.resolve(this.basePath, key);
+    if (!target.startsWith(this.basePath + path.sep)) {
+      throw new Error(`Invalid archive key: ${key}`);
+    }
+    return target;
+  }
+
+  /**
+   * Check whether the archive is already stored with the same content
+   */
+  async exists(key, { size, checksum }) {
+    const target = this.resolveKey(key);
+
+    try {
+      const stats = await fs.promises.stat(target);
+      if (stats.size === size) {
+        const digest = await FilesystemManager.hashFile(target);
+        if (digest.toString("hex") === checksum.hex) {
+          return true;
+        }
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+
+    console.warn(
+      `Archive ${key} in sink ${this.name} does not match the local archive, writing again`
+    );
+    return false;
+  }
+
+  /**
+   * Copy an archive into the directory, verifying the copy before it
+   * becomes visible under its final name
+   */
+  async upload(filePath, { key, checksum }) {
+    const target = this.resolveKey(key);
+    const tempPath = `${target}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.promises.copyFile(filePath, tempPath);
+
+      const digest = await FilesystemManager.hashFile(tempPath);
+      if (digest.toString("hex") !== checksum.hex) {
+        throw new Error(`Checksum mismatch writing ${key} to ${this.name}`);
+      }
+
+      await fs.promises.rename(tempPath, target);
+    } catch (error) {
+      await FilesystemManager.removeFile(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Nothing is left behind between attempts
+   */
+  async abort() {}
+
+  async cleanup() {}
+}
+
+module.exports = LocalSink;
@@ -0,0 +1,368 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+} = require("@aws-sdk/client-s3");
+const FilesystemManager = require("../../utils/filesystem");
+const config = require("../../config");
+
+// S3 limits: parts (except the last) must be at least 5 MiB, at most 10000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Uploads large archives to S3 in parts. In-progress uploads are recorded in
+ * the status directory so a later attempt for the same file resumes where
+ * the last one stopped, and uploads that can no longer be resumed are
+ * aborted instead of being left behind in the bucket.
+ */
+class MultipartUploader {
+  /**
+   * statePath is the status file for this bucket's in-progress uploads;
+   * checksums: false leaves out the per-part SHA-256 for stores without
+   * flexible checksum support
+   */
+  constructor(s3Client, { bucket, statePath, checksums = true }) {
+    this.s3Client = s3Client;
+    this.bucket = bucket;
+    this.statePath = statePath;
+    this.checksums = checksums;
+    // In-progress uploads, key: buffer filename, value: upload record
+    this.uploads = new Map();
+    // Serialize writes so concurrent part completions don't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load in-progress uploads from the status directory
+   */
+  async load() {
+    const data = await FilesystemManager.readJsonFile(this.statePath);
+    const records = (data && data.uploads) || [];
+
+    this.uploads.clear();
+    for (const record of records) {
+      this.uploads.set(record.file_name, record);
+    }
+  }
+
+  /**
+   * Persist in-progress uploads to the status directory
+   */
+  async save() {
+    const snapshot = { uploads: Array.from(this.uploads.values()) };
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => FilesystemManager.writeJsonFile(this.statePath, snapshot));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Check whether a file is large enough to be uploaded in parts
+   */
+  shouldUpload(size) {
+    return size >= config.processing.multipart.thresholdBytes;
+  }
+
+  /**
+   * Pick the part size for a file: the configured size, raised when needed
+   * to stay within the S3 minimum and the 10000-part limit
+   */
+  getPartSize(size) {
+    const partSize = Math.max(
+      config.processing.multipart.partSizeBytes,
+      MIN_PART_SIZE
+    );
+    return Math.max(partSize, Math.ceil(size / MAX_PARTS));
+  }
+
+  /**
+   * Upload a file in parts, resuming an earlier upload of the same archive
+   * when one is recorded. checksum holds the archive's SHA-256 ({ hex });
+   * with checksums on, every part carries its own SHA-256 for S3 to verify.
+   */
+  async upload(filePath, filename, s3Key, checksum, metadata = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    const partSize = this.getPartSize(size);
+    const record = await this.resumeOrStart(filename, s3Key, {
+      size,
+      partSize,
+      sha256: checksum.hex,
+      metadata,
+    });
+
+    const partCount = Math.ceil(size / partSize);
+    const done = new Set(record.parts.map((part) => part.PartNumber));
+    const pending = [];
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      if (!done.has(partNumber)) {
+        pending.push(partNumber);
+      }
+    }
+
+    if (done.size > 0) {
+      console.log(
+        `Resuming multipart upload of ${filename}: ${done.size}/${partCount} parts already uploaded`
+      );
+    }
+
+    // Fixed pool of workers pulling part numbers off the pending list; once
+    // a part has failed for good no further parts are started
+    const workers = [];
+    const concurrency = Math.max(1, config.processing.multipart.concurrency);
+    let failed = false;
+    for (let i = 0; i < Math.min(concurrency, pending.length); i++) {
+      workers.push(
+        (async () => {
+          while (!failed && pending.length > 0) {
+            const partNumber = pending.shift();
+            try {
+              const part = await this.uploadPart(
+                record,
+                filePath,
+                partNumber,
+                size
+              );
+              record.parts.push(part);
+              await this.save();
+            } catch (error) {
+              failed = true;
+              throw error;
+            }
+          }
+        })()
+      );
+    }
+
+    const results = await Promise.allSettled(workers);
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) {
+      // The recorded parts are kept so the next attempt resumes from here
+      throw failure.reason;
+    }
+
+    await this.s3Client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: record.bucket,
+        Key: record.key,
+        UploadId: record.upload_id,
+        MultipartUpload: {
+          Parts: record.parts
+            .slice()
+            .sort((a, b) => a.PartNumber - b.PartNumber),
+        },
+      })
+    );
+
+    this.uploads.delete(filename);
+    await this.save();
+  }
+
+  /**
+   * Reuse the recorded upload for a file if it is for the same archive and
+   * still exists in S3, otherwise abort it and start a new one
+   */
+  async resumeOrStart(filename, s3Key, { size, partSize, sha256, metadata }) {
+    const existing = this.uploads.get(filename);
+
+    if (existing) {
+      // A later file of the same hour may have reused the name
+      if (
+        existing.sha256 === sha256 &&
+        existing.key === s3Key &&
+        existing.part_size === partSize &&
+        existing.bucket === this.bucket
+      ) {
+        const parts = await this.listUploadedParts(existing);
+        if (parts) {
+          existing.parts = parts;
+          await this.save();
+          return existing;
+        }
+        this.uploads.delete(filename);
+      } else {
+        await this.abort(filename);
+      }
+    }
+
+    const response = await this.s3Client.send(
+      new CreateMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: s3Key,
+        ContentType: "application/gzip",
+        ContentEncoding: "gzip",
+        ChecksumAlgorithm: this.checksums ? "SHA256" : undefined,
+        Metadata: metadata,
+      })
+    );
+
+    const record = {
+      file_name: filename,
+      bucket: this.bucket,
+      key: s3Key,
+      upload_id: response.UploadId,
+      size,
+      sha256,
+      part_size: partSize,
+      parts: [],
+      started_at: new Date().toISOString(),
+    };
+
+    this.uploads.set(filename, record);
+    await this.save();
+
+    return record;
+  }
+
+  /**
+   * List the parts S3 holds for an upload, or null if the upload is gone
+   * (completed, aborted or expired by a lifecycle rule)
+   */
+  async listUploadedParts(record) {
+    const parts = [];
+    let marker;
+
+    try {
+      do {
+        const response = await this.s3Client.send(
+          new ListPartsCommand({
+            Bucket: record.bucket,
+            Key: record.key,
+            UploadId: record.upload_id,
+            PartNumberMarker: marker,
+          })
+        );
+
+        for (const part of response.Parts || []) {
+          parts.push({
+            PartNumber: part.PartNumber,
+            ETag: part.ETag,
+            ChecksumSHA256: part.ChecksumSHA256,
+          });
+        }
+        marker = response.IsTruncated ? response.NextPartNumberMarker : null;
+      } while (marker);
+    } catch (error) {
+      if (error.name === "NoSuchUpload") {
+        return null;
+      }
+      throw error;
+    }
+
+    return parts;
+  }
+
+  /**
+   * Upload one part, retrying just that part on failure. Returns the part
+   * entry for CompleteMultipartUpload.
+   */
+  async uploadPart(record, filePath, partNumber, size, retryCount = 0) {
+    const start = (partNumber - 1) * record.part_size;
+    const end = Math.min(start + record.part_size, size);
+
+    try {
+      const checksum = this.checksums
+        ? (
+            await FilesystemManager.hashFile(filePath, { start, end: end - 1 })
+          ).toString("base64")
+        : undefined;
+      const response = await this.s3Client.send(
+        new UploadPartCommand({
+          Bucket: record.bucket,
+          Key: record.key,
+          UploadId: record.upload_id,
+          PartNumber: partNumber,
+          Body: fs.createReadStream(filePath, { start, end: end - 1 }),
+          ContentLength: end - start,
+          ChecksumSHA256: checksum,
+        })
+      );
+      return {
+        PartNumber: partNumber,
+        ETag: response.ETag,
+        ChecksumSHA256: checksum,
+      };
+    } catch (error) {
+      const { partRetries } = config.processing.multipart;
+      if (error.name === "NoSuchUpload" || retryCount >= partRetries) {
+        throw error;
+      }
+
+      console.log(
+        `Part ${partNumber} of ${record.file_name} failed, retrying... (${
+          retryCount + 1
+        }/${partRetries})`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, 1000 * 2 ** retryCount)
+      );
+      return this.uploadPart(
+        record,
+        filePath,
+        partNumber,
+        size,
+        retryCount + 1
+      );
+    }
+  }
+
+  /**
+   * Abort the recorded upload for a file, if any. The record is kept when
+   * the abort itself fails so a later cleanup can try again.
+   */
+  async abort(filename) {
+    const record = this.uploads.get(filename);
+    if (!record) {
+      return;
+    }
+
+    try {
+      await this.s3Client.send(
+        new AbortMultipartUploadCommand({
+          Bucket: record.bucket,
+          Key: record.key,
+          UploadId: record.upload_id,
+        })
+      );
+      console.log(`Aborted multipart upload of ${filename}`);
+    } catch (error) {
+      if (error.name !== "NoSuchUpload") {
+        console.error(
+          `Failed to abort multipart upload of ${filename}:`,
+          error
+        );
+        return;
+      }
+    }
+
+    this.uploads.delete(filename);
+    await this.save();
+  }
+
+  /**
+   * Abort recorded uploads whose buffer file no longer exists in processing/
+   * or failed/ and so can never be resumed
+   */
+  async abortOrphaned() {
+    for (const filename of Array.from(this.uploads.keys())) {
+      const inProcessing = await FilesystemManager.fileExists(
+        path.join(config.paths.processing, filename)
+      );
+      const inFailed = await FilesystemManager.fileExists(
+        path.join(config.paths.failed, filename)
+      );
+
+      if (!inProcessing && !inFailed) {
+        await this.abort(filename);
+      }
+    }
+  }
+}
+
+module.exports = MultipartUploader;
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+} = require("@aws-sdk/client-s3");
+const MultipartUploader = require("./multipartUploader");
+const config = require("../../config");
+
+// User metadata holding the archive's SHA-256 (hex), checked before upload
+const CONTENT_SHA256_METADATA = "content-sha256";
+
+/**
+ * Archive sink for AWS S3 and S3-compatible stores (MinIO, Ceph RGW, ...).
+ * S3-compatible sinks need an endpoint and default to path-style addressing.
+ */
+class S3Sink {
+  constructor(settings) {
+    this.name = settings.name;
+    this.type = settings.type;
+    this.bucket = settings.bucket;
+    this.endpoint = settings.endpoint;
+
+    if (!this.bucket) {
+      throw new Error(`Sink ${this.name}: bucket is required`);
+    }
+    if (this.type === "s3-compatible" && !this.endpoint) {
+      throw new Error(`Sink ${this.name}: endpoint is required`);
+    }
+
+    // Some S3-compatible stores reject the x-amz-checksum-* headers
+    this.checksums = settings.checksums !== false;
+
+    this.s3Client = new S3Client({
+      region: settings.region || config.aws.region,
+      endpoint: this.endpoint,
+      forcePathStyle:
+        settings.forcePathStyle !== undefined
+          ? settings.forcePathStyle
+          : this.type === "s3-compatible",
+      credentials: settings.accessKeyId
+        ? {
+            accessKeyId: settings.accessKeyId,
+            secretAccessKey: settings.secretAccessKey,
+          }
+        : undefined, // Use default credential chain if not provided
+      requestChecksumCalculation: this.checksums
+        ? "WHEN_SUPPORTED"
+        : "WHEN_REQUIRED",
+    });
+
+    this.multipartUploader = new MultipartUploader(this.s3Client, {
+      bucket: this.bucket,
+      statePath: path.join(
+        config.paths.status,
+        `multipart_uploads.${this.name}.json`
+      ),
+      checksums: this.checksums,
+    });
+  }
+
+  /**
+   * Where this sink stores archives, for logs
+   */
+  describe() {
+    return this.endpoint
+      ? `${this.endpoint.replace(/\/$/, "")}/${this.bucket}`
+      : `s3://${this.bucket}`;
+  }
+
+  /**
+   * Load in-progress multipart uploads so they can be resumed
+   */
+  async initialize() {
+    await this.multipartUploader.load();
+  }
+
+  /**
+   * Check whether the object already holds the same archive (same size and
+   * SHA-256). An object that doesn't match is overwritten.
+   */
+  async exists(key, { size, checksum }) {
+    let head;
+    try {
+      head = await this.s3Client.send(
+        new HeadObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+        })
+      );
+    } catch (error) {
+      if (
+        error.name === "NotFound" ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404)
+      ) {
+        return false;
+      }
+      throw error;
+    }
+
+    const storedHash = head.Metadata && head.Metadata[CONTENT_SHA256_METADATA];
+    if (head.ContentLength === size && storedHash === checksum.hex) {
+      return true;
+    }
+
+    console.warn(
+      `Object ${key} in sink ${this.name} does not match the local archive, uploading again`
+    );
+    return false;
+  }
+
+  /**
+   * Upload an archive. Large files go up in parts; a retry resumes with the
+   * parts that are still missing.
+   */
+  async upload(filePath, { filename, key, size, checksum }) {
+    const metadata = { [CONTENT_SHA256_METADATA]: checksum.hex };
+
+    if (this.multipartUploader.shouldUpload(size)) {
+      await this.multipartUploader.upload(
+        filePath,
+        filename,
+        key,
+        checksum,
+        metadata
+      );
+      return;
+    }
+
+    await this.s3Client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: "application/gzip",
+        ContentEncoding: "gzip",
+        ChecksumSHA256: this.checksums ? checksum.base64 : undefined,
+        Metadata: metadata,
+      })
+    );
+  }
+
+  /**
+   * Abort the in-progress multipart upload of a file, if any
+   */
+  async abort(filename) {
+    await this.multipartUploader.abort(filename);
+  }
+
+  /**
+   * Abort multipart uploads left behind by files that are gone
+   */
+  async cleanup() {
+    await this.multipartUploader.abortOrphaned();
+  }
+}
+
+module.exports = S3Sink;
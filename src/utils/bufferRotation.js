@@ -0,0 +1,95 @@
+/**
+ * Coordinates appends to incoming buffer files with the batch sweeper.
+ *
+ * Ingestion wraps every append in withWrite(); the sweeper wraps the move
+ * out of incoming/ in withSeal(). Sealing a file blocks new appends to it
+ * and waits for in-flight appends to finish, so no line is ever written to
+ * a file after it has been moved. Appends that were held back then create a
+ * fresh file under the same name, which a later sweep picks up.
+ */
+class BufferRotation {
+  constructor() {
+    // In-flight appends, key: filename, value: count
+    this.activeWriters = new Map();
+    // Files being moved, key: filename, value: promise resolved on unseal
+    this.sealed = new Map();
+    // Sweepers waiting for appends to finish, key: filename, value: resolvers
+    this.drainWaiters = new Map();
+  }
+
+  /**
+   * Run an append to a buffer file once it is not sealed
+   */
+  async withWrite(filename, writeFn) {
+    while (this.sealed.has(filename)) {
+      await this.sealed.get(filename);
+    }
+
+    this.activeWriters.set(
+      filename,
+      (this.activeWriters.get(filename) || 0) + 1
+    );
+
+    try {
+      return await writeFn();
+    } finally {
+      this.releaseWrite(filename);
+    }
+  }
+
+  /**
+   * Finish an append and wake a sealing sweeper once the file is idle
+   */
+  releaseWrite(filename) {
+    const remaining = this.activeWriters.get(filename) - 1;
+
+    if (remaining > 0) {
+      this.activeWriters.set(filename, remaining);
+      return;
+    }
+
+    this.activeWriters.delete(filename);
+    const waiters = this.drainWaiters.get(filename) || [];
+    this.drainWaiters.delete(filename);
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Block appends to a buffer file, wait for in-flight appends, then run
+   * the rotation (move) and let appends continue
+   */
+  async withSeal(filename, rotateFn) {
+    // Only one sweeper runs at a time, but wait out any earlier seal anyway
+    while (this.sealed.has(filename)) {
+      await this.sealed.get(filename);
+    }
+
+    let unseal;
+    this.sealed.set(
+      filename,
+      new Promise((resolve) => {
+        unseal = resolve;
+      })
+    );
+
+    try {
+      if (this.activeWriters.has(filename)) {
+        await new Promise((resolve) => {
+          const waiters = this.drainWaiters.get(filename) || [];
+          waiters.push(resolve);
+          this.drainWaiters.set(filename, waiters);
+        });
+      }
+
+      return await rotateFn();
+    } finally {
+      this.sealed.delete(filename);
+      unseal();
+    }
+  }
+}
+
+// Shared by the upload path and the batch processor (same process)
+const bufferRotation = new BufferRotation();
+
+module.exports = { BufferRotation, bufferRotation };
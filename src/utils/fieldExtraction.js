@@ -0,0 +1,135 @@
+// Syslog severity and facility names by code (RFC 5424 section 6.2.1)
+const SEVERITIES = [
+  "emerg",
+  "alert",
+  "crit",
+  "err",
+  "warning",
+  "notice",
+  "info",
+  "debug",
+];
+
+const FACILITIES = [
+  "kern",
+  "user",
+  "mail",
+  "daemon",
+  "auth",
+  "syslog",
+  "lpr",
+  "news",
+  "uucp",
+  "cron",
+  "authpriv",
+  "ftp",
+  "ntp",
+  "security",
+  "console",
+  "solaris-cron",
+  "local0",
+  "local1",
+  "local2",
+  "local3",
+  "local4",
+  "local5",
+  "local6",
+  "local7",
+];
+
+/**
+ * Split a syslog PRI value into { severity, facility } codes
+ */
+function decodePriority(priority) {
+  const value = Number(priority);
+  if (!Number.isInteger(value) || value < 0 || value > 191) {
+    return {};
+  }
+  return { severity: value % 8, facility: Math.floor(value / 8) };
+}
+
+/**
+ * Compile per-program patterns ({ "<program>": ["<regex>", ...] }) into
+ * a Map of RegExp lists. Patterns must use named capture groups.
+ */
+function compileExtractionPatterns(settings = {}) {
+  const compiled = new Map();
+
+  for (const [program, patterns] of Object.entries(settings)) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    compiled.set(
+      program,
+      list.map((pattern) => {
+        let regex;
+        try {
+          regex = new RegExp(pattern);
+        } catch (error) {
+          throw new Error(
+            `Invalid extraction pattern for ${program}: ${error.message}`
+          );
+        }
+        if (!/\(\?<[A-Za-z_$][\w$]*>/.test(pattern)) {
+          throw new Error(
+            `Extraction pattern for ${program} has no named groups: ${pattern}`
+          );
+        }
+        return regex;
+      })
+    );
+  }
+
+  return compiled;
+}
+
+/**
+ * Turn the header parts a parser extracted ({ hostname, program, unit, pid,
+ * severity, facility, body }) into entry fields, adding the named groups of
+ * the first pattern of the program (or systemd unit) matching the body as
+ * "fields"
+ */
+function buildExtractedFields(header, patterns) {
+  const fields = {};
+
+  for (const name of ["hostname", "program", "unit"]) {
+    if (typeof header[name] === "string" && header[name]) {
+      fields[name] = header[name];
+    }
+  }
+
+  const pid = Number(header.pid);
+  if (header.pid !== undefined && Number.isInteger(pid)) {
+    fields.pid = pid;
+  }
+  if (SEVERITIES[header.severity] !== undefined) {
+    fields.severity = SEVERITIES[header.severity];
+  }
+  if (FACILITIES[header.facility] !== undefined) {
+    fields.facility = FACILITIES[header.facility];
+  }
+
+  const programPatterns =
+    patterns.get(fields.program) || patterns.get(fields.unit);
+  if (programPatterns && typeof header.body === "string") {
+    for (const pattern of programPatterns) {
+      const match = pattern.exec(header.body);
+      if (match && match.groups) {
+        fields.fields = Object.fromEntries(
+          Object.entries(match.groups).filter(
+            ([, value]) => value !== undefined
+          )
+        );
+        break;
+      }
+    }
+  }
+
+  return fields;
+}
+
+module.exports = {
+  SEVERITIES,
+  FACILITIES,
+  decodePriority,
+  compileExtractionPatterns,
+  buildExtractedFields,
+};
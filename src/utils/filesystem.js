@@ -1,7 +1,13 @@
+const crypto = require("crypto");
 const fs = require("fs").promises;
+const fsStreams = require("fs");
+const { pipeline } = require("stream/promises");
 const path = require("path");
 const config = require("../config");
 
+// Disk usage errors are logged once until a measurement succeeds again
+let diskUsageErrorLogged = false;
+
 class FilesystemManager {
   /**
    * Initialize the required directory structure
@@ -13,6 +19,7 @@ class FilesystemManager {
       config.paths.processing,
       config.paths.failed,
       config.paths.status,
+      config.paths.evicted,
     ];
 
     for (const dir of directories) {
@@ -52,31 +59,35 @@ class FilesystemManager {
       return {
         file_count: fileCount,
         total_size_mb: parseFloat((totalSize / (1024 * 1024)).toFixed(2)),
+        total_size_bytes: totalSize,
       };
     } catch (error) {
       console.error(`Error reading directory ${dirPath}:`, error);
-      return { file_count: 0, total_size_mb: 0 };
+      return { file_count: 0, total_size_mb: 0, total_size_bytes: 0 };
     }
   }
 
   /**
-   * Get disk usage percentage for the logs directory
+   * Get disk usage percentage for the logs directory. Like df, space
+   * reserved for root counts as unavailable. Returns null if it cannot be
+   * measured.
    */
   static async getDiskUsage() {
-    const { exec } = require("child_process");
-    const { promisify } = require("util");
-    const execAsync = promisify(exec);
-
     try {
-      // Use df command to get disk usage for the logs directory
-      const { stdout } = await execAsync(
-        `df -h "${config.paths.base}" | tail -1`
-      );
-      const usage = stdout.split(/\s+/)[4]; // Get the percentage column
-      return parseFloat(usage.replace("%", ""));
+      const stats = await fs.statfs(config.paths.base);
+      diskUsageErrorLogged = false;
+      const used = stats.blocks - stats.bfree;
+      const usable = used + stats.bavail;
+      if (usable === 0) {
+        return 0;
+      }
+      return parseFloat(((used / usable) * 100).toFixed(1));
     } catch (error) {
-      console.error("Error getting disk usage:", error);
-      return 0;
+      if (!diskUsageErrorLogged) {
+        diskUsageErrorLogged = true;
+        console.error("Error getting disk usage:", error);
+      }
+      return null;
     }
   }
 
@@ -106,6 +117,41 @@ class FilesystemManager {
     }
   }
 
+  /**
+   * Check whether a file exists
+   */
+  static async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * SHA-256 digest (Buffer) of a file, or of the byte range start..end
+   * (inclusive) when given
+   */
+  static async hashFile(filePath, range = {}) {
+    const hash = crypto.createHash("sha256");
+    await pipeline(fsStreams.createReadStream(filePath, range), hash);
+    return hash.digest();
+  }
+
+  /**
+   * Remove a file, ignoring files that don't exist
+   */
+  static async removeFile(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
   /**
    * Read JSON file safely
    */
@@ -0,0 +1,17 @@
+const v8 = require("v8");
+
+// Enables the "l" RegExp flag: V8's non-backtracking engine, which matches in
+// time linear in the input. Must be set before such a pattern is compiled.
+v8.setFlagsFromString("--enable-experimental-regexp-engine");
+
+/**
+ * Compile a client-supplied pattern for the linear-time engine, so matching
+ * it cannot stall the event loop. Throws SyntaxError for invalid patterns and
+ * for those the engine cannot run (backreferences, lookaround, large counted
+ * repetitions).
+ */
+function compileLinearRegex(pattern) {
+  return new RegExp(pattern, "l");
+}
+
+module.exports = { compileLinearRegex };
@@ -1,147 +1,478 @@
 const fs = require("fs");
 const path = require("path");
 const config = require("../config");
+const { zonedTimeToUtc, formatOffset } = require("./timezone");
+const { resolvePartition, buildBufferFilename } = require("./partitioning");
+const { bufferRotation } = require("./bufferRotation");
+const { metrics } = require("./metrics");
+const DeviceStats = require("../services/deviceStats");
+const DeviceSequencer = require("../services/deviceSequencer");
+const { logTail } = require("../services/logTail");
+const { alertEngine } = require("../services/alertEngine");
+const {
+  decodePriority,
+  compileExtractionPatterns,
+  buildExtractedFields,
+} = require("./fieldExtraction");
+
+// Map to convert three-letter month abbreviations to zero-indexed numbers
+const MONTHS = {
+  Jan: 0,
+  Feb: 1,
+  Mar: 2,
+  Apr: 3,
+  May: 4,
+  Jun: 5,
+  Jul: 6,
+  Aug: 7,
+  Sep: 8,
+  Oct: 9,
+  Nov: 10,
+  Dec: 11,
+};
+
+// ISO-8601 / RFC 3339 date-time, with optional fraction and UTC offset
+const ISO_TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:[.,](\d{1,9}))?(Z|[+-]\d{2}:?\d{2})?/i;
+
+/**
+ * Parse an ISO-8601 timestamp at the start of a string. Timestamps without
+ * an explicit offset are read in the given source timezone.
+ */
+function parseIsoTimestamp(value, timeZone) {
+  const match = value.match(ISO_TIMESTAMP_PATTERN);
+
+  if (!match) {
+    return null;
+  }
 
-class LogProcessor {
-  constructor() {
-    // In-memory counter for timestamp sequencing
-    this.timestampCounters = new Map(); // key: "YYYY-MM-DD-HH-MM-SS", value: counter
-    // Track recent requests for ingestion rate calculation
-    this.recentRequests = [];
+  const [, year, month, day, hours, minutes, seconds, fraction, zone] = match;
+  const milliseconds = fraction
+    ? Number(fraction.padEnd(3, "0").slice(0, 3))
+    : 0;
+  const wallMillis = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes),
+    Number(seconds),
+    milliseconds
+  );
+
+  let utcMillis;
+  let offsetMinutes;
+
+  if (zone) {
+    offsetMinutes = 0;
+    if (zone.toUpperCase() !== "Z") {
+      const sign = zone[0] === "-" ? -1 : 1;
+      const digits = zone.slice(1).replace(":", "");
+      offsetMinutes =
+        sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+    }
+    utcMillis = wallMillis - offsetMinutes * 60000;
+  } else {
+    ({ utcMillis, offsetMinutes } = zonedTimeToUtc(wallMillis, timeZone));
   }
 
-  /**
-   * Get timestamp from log line with proper timezone conversion and millisecond indexing
-   */
-  getTimestampFromLog(logLine, secondIndex) {
-    // Map to convert three-letter month abbreviations to zero-indexed numbers
-    const months = {
-      Jan: 0,
-      Feb: 1,
-      Mar: 2,
-      Apr: 3,
-      May: 4,
-      Jun: 5,
-      Jul: 6,
-      Aug: 7,
-      Sep: 8,
-      Oct: 9,
-      Nov: 10,
-      Dec: 11,
-    };
+  const date = new Date(utcMillis);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
 
-    // Regex to capture the month, day, and time components from the log line
-    const match = logLine.match(
-      /^([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2}:\d{2}:\d{2})/
+  return {
+    date,
+    offset: formatOffset(offsetMinutes),
+    // Sub-second precision from the source is kept instead of sequenced
+    precise: fraction !== undefined,
+  };
+}
+
+/**
+ * Convert a year-less wall-clock time to UTC, picking the year that puts the
+ * event closest to the receive time without landing more than the allowed
+ * skew in the future. Handles New Year rollover and offline backlogs.
+ */
+function resolveYearlessTime(wall, timeZone, receivedAt) {
+  const receivedYear = new Date(receivedAt).getUTCFullYear();
+  const maxFutureMillis = config.timestamps.maxFutureSkewHours * 60 * 60 * 1000;
+  let best = null;
+
+  for (const year of [receivedYear - 1, receivedYear, receivedYear + 1]) {
+    const candidate = zonedTimeToUtc(
+      Date.UTC(
+        year,
+        wall.month,
+        wall.day,
+        wall.hours,
+        wall.minutes,
+        wall.seconds
+      ),
+      timeZone
     );
+    const ahead = candidate.utcMillis - receivedAt;
 
-    if (!match) {
-      return null;
+    if (ahead > maxFutureMillis) {
+      continue;
+    }
+    if (!best || Math.abs(ahead) < Math.abs(best.utcMillis - receivedAt)) {
+      best = { ...candidate, year };
     }
+  }
 
-    // Destructure the captured parts from the regex match
-    const [, monthStr, dayStr, timeStr] = match;
+  return { ...best, yearInferred: best.year !== receivedYear };
+}
 
-    // Parse the time components into numbers
-    const [hours, minutes, seconds] = timeStr.split(":").map(Number);
-    const day = parseInt(dayStr, 10);
-    const monthIndex = months[monthStr];
+// Header patterns for field extraction; "program[pid]:" is the syslog tag.
+// BSD syslog: "[<PRI>]Sep 04 12:53:01 host [program[pid]:] msg"
+const RFC3164_HEADER_PATTERN =
+  /^(?:<(\d{1,3})>)?[A-Za-z]{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}\s+(\S+)(?:\s+([^\s:[\]]+)(?:\[(\d+)\])?:)?(?:\s(.*))?$/;
 
-    // Return null if the month abbreviation is invalid
-    if (monthIndex === undefined) {
-      return null;
-    }
+// RFC 5424: "<PRI>1 timestamp host app procid msgid structured-data msg"
+const RFC5424_HEADER_PATTERN =
+  /^<(\d{1,3})>1 \S+ (\S+) (\S+) (\S+) \S+ (?:-|(?:\[(?:[^\]\\]|\\.)*\])+)(?: (.*))?$/;
 
-    // Assume the log entry's year is the current year
-    const year = new Date().getFullYear();
+// ISO-timestamped syslog (rsyslog file format): "timestamp host program[pid]: msg"
+const RFC3339_HEADER_PATTERN =
+  /^\S+\s+(\S+)\s+([^\s:[\]]+)(?:\[(\d+)\])?:(?:\s(.*))?$/;
 
-    // Create a Date object using UTC values, treating parsed time as UTC initially
-    const date = new Date(
-      Date.UTC(year, monthIndex, day, hours, minutes, seconds)
-    );
+/**
+ * RFC 5424 NILVALUE ("-") as undefined
+ */
+function nilToUndefined(value) {
+  return value === "-" ? undefined : value;
+}
+
+/**
+ * Built-in log-line parsers, in auto-detection order. Each
+ * parse(logLine, timeZone, receivedAt) returns { date, offset, precise } for
+ * the line's event time, or null if the line is not in that format.
+ * extract(logLine) returns the header parts { hostname, program, unit, pid,
+ * severity, facility, body } present in the line, or null.
+ */
+const DEFAULT_PARSERS = {
+  // journalctl -o json export: one JSON object per line
+  journald: {
+    parse(logLine) {
+      if (logLine[0] !== "{") {
+        return null;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(logLine);
+      } catch (error) {
+        return null;
+      }
+
+      // Microseconds since epoch; prefer the time the source generated it
+      const micros = Number(
+        record._SOURCE_REALTIME_TIMESTAMP || record.__REALTIME_TIMESTAMP
+      );
+      if (!Number.isFinite(micros)) {
+        return null;
+      }
+
+      return {
+        date: new Date(Math.floor(micros / 1000)),
+        offset: "+00:00",
+        precise: true,
+      };
+    },
+
+    extract(logLine) {
+      let record;
+      try {
+        record = JSON.parse(logLine);
+      } catch (error) {
+        return null;
+      }
+
+      return {
+        hostname: record._HOSTNAME,
+        program: record.SYSLOG_IDENTIFIER || record._COMM,
+        unit: record._SYSTEMD_UNIT,
+        pid: record.SYSLOG_PID || record._PID,
+        severity: record.PRIORITY === undefined ? undefined : +record.PRIORITY,
+        facility:
+          record.SYSLOG_FACILITY === undefined
+            ? undefined
+            : +record.SYSLOG_FACILITY,
+        body: typeof record.MESSAGE === "string" ? record.MESSAGE : undefined,
+      };
+    },
+  },
+
+  // RFC 5424: "<PRI>1 2003-10-11T22:14:15.003Z host app procid msgid ..."
+  rfc5424: {
+    parse(logLine, timeZone) {
+      const match = logLine.match(/^<\d{1,3}>1 (\S+) /);
+      if (!match || match[1] === "-") {
+        return null;
+      }
+      return parseIsoTimestamp(match[1], timeZone);
+    },
+
+    extract(logLine) {
+      const match = logLine.match(RFC5424_HEADER_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const [, priority, hostname, program, pid, body] = match;
+      return {
+        ...decodePriority(priority),
+        hostname: nilToUndefined(hostname),
+        program: nilToUndefined(program),
+        pid: nilToUndefined(pid),
+        // The message may start with a UTF-8 byte order mark
+        body: body === undefined ? undefined : body.replace(/^\uFEFF/, ""),
+      };
+    },
+  },
+
+  // Lines prefixed with an ISO-8601 / RFC 3339 timestamp
+  rfc3339: {
+    parse(logLine, timeZone) {
+      return parseIsoTimestamp(logLine, timeZone);
+    },
+
+    // Only lines with a "host program:" header, other ISO-prefixed lines
+    // (e.g. application logs) are left alone
+    extract(logLine) {
+      const match = logLine.match(RFC3339_HEADER_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const [, hostname, program, pid, body] = match;
+      return { hostname, program, pid, body };
+    },
+  },
+
+  // BSD syslog (RFC 3164): "[<PRI>]Sep 04 12:53:01 host program: ..."
+  rfc3164: {
+    parse(logLine, timeZone, receivedAt = Date.now()) {
+      // Regex to capture the month, day, and time components from the log line
+      const match = logLine.match(
+        /^(?:<\d{1,3}>)?([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2}:\d{2}:\d{2})/
+      );
+
+      if (!match) {
+        return null;
+      }
+
+      // Destructure the captured parts from the regex match
+      const [, monthStr, dayStr, timeStr] = match;
+
+      // Parse the time components into numbers
+      const [hours, minutes, seconds] = timeStr.split(":").map(Number);
+      const day = parseInt(dayStr, 10);
+      const monthIndex = MONTHS[monthStr];
 
-    // Adjust for timezone: original time was in Asia/Bangkok (UTC+7)
-    // Subtract 7 hours to convert to true UTC time
-    date.setUTCHours(date.getUTCHours() - 7);
+      // Return null if the month abbreviation is invalid
+      if (monthIndex === undefined) {
+        return null;
+      }
 
-    // Set milliseconds from the second index to preserve original sequence
-    date.setUTCMilliseconds(secondIndex);
+      // Interpret the wall-clock time in the source timezone (DST-aware),
+      // inferring the missing year from the receive time
+      const { utcMillis, offsetMinutes, yearInferred } = resolveYearlessTime(
+        { month: monthIndex, day, hours, minutes, seconds },
+        timeZone,
+        receivedAt
+      );
 
-    // Return the timestamp in ISO 8601 format
-    return date.toISOString();
+      return {
+        date: new Date(utcMillis),
+        offset: formatOffset(offsetMinutes),
+        precise: false,
+        yearInferred,
+      };
+    },
+
+    extract(logLine) {
+      const match = logLine.match(RFC3164_HEADER_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const [, priority, hostname, program, pid, body] = match;
+      return {
+        ...decodePriority(priority),
+        hostname,
+        program,
+        pid,
+        body,
+      };
+    },
+  },
+};
+
+class LogProcessor {
+  constructor() {
+    // Per-device entry sequence numbers (the seq field), kept across requests
+    this.sequencer = new DeviceSequencer();
+    // Track recent requests for ingestion rate calculation
+    this.recentRequests = [];
+    // Per-device counters and first/last-seen times
+    this.deviceStats = new DeviceStats();
+    // Log-line parsers by format name, iterated in order for auto-detection
+    this.parsers = new Map(Object.entries(DEFAULT_PARSERS));
+    // Per-program named-capture patterns for field extraction
+    this.extractionPatterns = new Map();
   }
 
   /**
-   * Parse timestamp from log message and create high-resolution timestamp (legacy method)
+   * Register a custom log-line parser.
+   * parser.parse(logLine, timeZone, receivedAt) must return
+   * { date, offset, precise } or null. The optional
+   * parser.extract(logLine) returns the line's header parts for field
+   * extraction (see DEFAULT_PARSERS).
    */
-  parseAndEnhanceTimestamp(logMessage) {
-    // Extract timestamp from log message (format: "Sep 04 12:53:01")
-    const timestampRegex = /^(\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2})/;
-    const match = logMessage.match(timestampRegex);
-
-    if (!match) {
-      throw new Error("Invalid log format: timestamp not found");
+  registerParser(name, parser) {
+    if (name === "auto") {
+      throw new Error('"auto" is reserved for format detection');
     }
+    this.parsers.set(name, parser);
+  }
 
-    const timestampStr = match[1];
+  /**
+   * Compile per-program extraction patterns; throws on an invalid pattern
+   */
+  setExtractionPatterns(settings) {
+    this.extractionPatterns = compileExtractionPatterns(settings);
+  }
 
-    // Parse the timestamp (assuming current year)
-    const currentYear = new Date().getFullYear();
-    const baseTimestamp = new Date(`${timestampStr} ${currentYear}`);
+  /**
+   * Check whether a format name can be used for parsing
+   */
+  isKnownFormat(format) {
+    return format === "auto" || this.parsers.has(format);
+  }
 
-    if (isNaN(baseTimestamp.getTime())) {
-      throw new Error("Invalid timestamp format");
-    }
+  /**
+   * Get the per-device settings (empty if the device has none)
+   */
+  getDeviceSettings(deviceId) {
+    return config.devices[deviceId] || {};
+  }
 
-    // Create key for sequencing (per-second granularity)
-    const secondKey = this.formatTimestampKey(baseTimestamp);
+  /**
+   * Resolve the source timezone for a device: per-request override first,
+   * then the per-device setting, then the global default
+   */
+  resolveTimezone(deviceId, requestTimezone = null) {
+    return (
+      requestTimezone ||
+      this.getDeviceSettings(deviceId).timezone ||
+      config.timestamps.defaultTimezone
+    );
+  }
 
-    // Get and increment counter for this second
-    const counter = (this.timestampCounters.get(secondKey) || 0) + 1;
-    this.timestampCounters.set(secondKey, counter);
+  /**
+   * Resolve the log format for a device, in the same order as the timezone
+   */
+  resolveFormat(deviceId, requestFormat = null) {
+    return (
+      requestFormat ||
+      this.getDeviceSettings(deviceId).format ||
+      config.timestamps.defaultFormat
+    );
+  }
 
-    // Clean old counters to prevent memory leak (keep only last hour)
-    this.cleanOldCounters();
+  /**
+   * Whether structured fields are extracted for a device: the per-device
+   * setting first, then the global default
+   */
+  resolveExtraction(deviceId) {
+    const setting = this.getDeviceSettings(deviceId).extractFields;
+    return setting === undefined ? config.extraction.enabled : Boolean(setting);
+  }
 
-    // Create high-resolution timestamp with milliseconds
-    const enhancedTimestamp = new Date(baseTimestamp.getTime() + counter);
+  /**
+   * Extract structured fields (hostname, program, unit, pid, severity,
+   * facility and custom "fields") from a line parsed as parsed.format.
+   * Only fields present in the line are returned.
+   */
+  extractFields(logLine, parsed) {
+    const parser = parsed && this.parsers.get(parsed.format);
+    const header = parser && parser.extract ? parser.extract(logLine) : null;
 
-    return {
-      baseTimestamp,
-      enhancedTimestamp: enhancedTimestamp.toISOString(),
-      hourKey: this.getHourKey(baseTimestamp),
-    };
+    return header ? buildExtractedFields(header, this.extractionPatterns) : {};
   }
 
   /**
-   * Create a sequencing key for timestamp counters
+   * Parse the base event time (UTC) from a log line.
+   * Returns { date, offset, precise, yearInferred, format } where offset is
+   * the source's UTC offset at that moment ("+07:00"), precise is true when
+   * the line carried its own sub-second time, yearInferred is true when a
+   * year-less timestamp was placed in a year other than the receive year and
+   * format is the name of the parser that read it.
+   * Returns null if no timestamp is found.
    */
-  formatTimestampKey(timestamp) {
-    return timestamp.toISOString().substring(0, 19); // YYYY-MM-DDTHH:MM:SS
+  parseLogTimestamp(
+    logLine,
+    timeZone = config.timestamps.defaultTimezone,
+    format = "auto",
+    receivedAt = Date.now()
+  ) {
+    if (format !== "auto") {
+      const parser = this.parsers.get(format);
+      const parsed = parser
+        ? parser.parse(logLine, timeZone, receivedAt)
+        : null;
+      return parsed && { ...parsed, format };
+    }
+
+    for (const [name, parser] of this.parsers) {
+      const parsed = parser.parse(logLine, timeZone, receivedAt);
+      if (parsed) {
+        return { ...parsed, format: name };
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Clean old timestamp counters to prevent memory leak
+   * Parse timestamp from log message (legacy single-entry method)
    */
-  cleanOldCounters() {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const cutoffKey = this.formatTimestampKey(oneHourAgo);
+  parseAndEnhanceTimestamp(logMessage, timeZone, format) {
+    // Extract timestamp from log message (e.g. "Sep 04 12:53:01")
+    const parsed = this.parseLogTimestamp(logMessage, timeZone, format);
 
-    for (const [key] of this.timestampCounters) {
-      if (key < cutoffKey) {
-        this.timestampCounters.delete(key);
-      }
+    if (!parsed) {
+      throw new Error("Invalid log format: timestamp not found");
     }
+
+    const baseTimestamp = parsed.date;
+
+    if (isNaN(baseTimestamp.getTime())) {
+      throw new Error("Invalid timestamp format");
+    }
+
+    // Order within a second comes from the entry's seq, not the timestamp
+    return {
+      baseTimestamp,
+      enhancedTimestamp: baseTimestamp.toISOString(),
+      hourKey: this.getHourKey(baseTimestamp),
+      offset: parsed.offset,
+      yearInferred: Boolean(parsed.yearInferred),
+      format: parsed.format,
+    };
   }
 
   /**
-   * Get hour key for filename (YYYY-MM-DD-HH)
+   * Get hour key for filename (YYYY-MM-DD-HH), in UTC so the file (and the
+   * year= partition derived from it) matches the entry's log_timestamp
    */
   getHourKey(timestamp) {
-    const year = timestamp.getFullYear();
-    const month = String(timestamp.getMonth() + 1).padStart(2, "0");
-    const day = String(timestamp.getDate()).padStart(2, "0");
-    const hour = String(timestamp.getHours()).padStart(2, "0");
+    const year = timestamp.getUTCFullYear();
+    const month = String(timestamp.getUTCMonth() + 1).padStart(2, "0");
+    const day = String(timestamp.getUTCDate()).padStart(2, "0");
+    const hour = String(timestamp.getUTCHours()).padStart(2, "0");
 
     return `${year}-${month}-${day}-${hour}`;
   }
@@ -150,16 +481,32 @@ class LogProcessor {
    * Create enriched log entry
    */
   createLogEntry(deviceId, logMessage) {
-    const { enhancedTimestamp, hourKey } =
-      this.parseAndEnhanceTimestamp(logMessage);
+    const { enhancedTimestamp, hourKey, offset, yearInferred, format } =
+      this.parseAndEnhanceTimestamp(
+        logMessage,
+        this.resolveTimezone(deviceId),
+        this.resolveFormat(deviceId)
+      );
+
+    const logEntry = {
+      device_id: deviceId,
+      log_timestamp: enhancedTimestamp,
+      seq: this.sequencer.next(deviceId),
+      message: logMessage,
+      tz_offset: offset,
+    };
+
+    if (yearInferred) {
+      logEntry.year_inferred = true;
+    }
+
+    if (this.resolveExtraction(deviceId)) {
+      Object.assign(logEntry, this.extractFields(logMessage, { format }));
+    }
 
     return {
-      logEntry: {
-        device_id: deviceId,
-        log_timestamp: enhancedTimestamp,
-        message: logMessage,
-      },
-      filename: `${hourKey}.log`,
+      logEntry,
+      filename: buildBufferFilename(hourKey, resolvePartition(deviceId)),
     };
   }
 
@@ -170,16 +517,13 @@ class LogProcessor {
     const filePath = path.join(config.paths.incoming, filename);
     const logLine = JSON.stringify(logEntry) + "\n";
 
-    return new Promise((resolve, reject) => {
-      // Append to file atomically
-      fs.appendFile(filePath, logLine, (error) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+    // The entry's sequence number must be reserved on disk first
+    await this.sequencer.persisted();
+
+    // Append to file atomically, never while the sweeper is moving it
+    return bufferRotation.withWrite(filename, () =>
+      fs.promises.appendFile(filePath, logLine)
+    );
   }
 
   /**
@@ -205,94 +549,190 @@ class LogProcessor {
 
   /**
    * Process log content line by line
+   * options.timezone and options.format override the device's source
+   * timezone and log format for this request
    */
-  async processLogContentLineByLine(deviceId, logContent) {
-    try {
-      // Track request for rate calculation
-      this.trackRequest();
-
-      // Split content into lines and filter out empty lines
-      const logLines = logContent.split("\n").filter((line) => line.length > 0);
+  async processLogContentLineByLine(deviceId, logContent, options = {}) {
+    // Split content into lines and filter out empty lines
+    const logLines = logContent.split("\n").filter((line) => line.length > 0);
 
-      if (logLines.length === 0) return { success: false, linesProcessed: 0, filesWritten: 0 };
+    return this.processLogLines(deviceId, logLines, options);
+  }
 
-      // Track indices within each second to preserve ordering
-      const secondCounters = new Map();
+  /**
+   * Process log lines from any (async) iterable, e.g. a streamed upload.
+   * Entries are appended to the hourly incoming files in batches of
+   * config.upload.flushLines, so memory use does not grow with upload size
+   * and a slow disk slows down reading the request (backpressure).
+   * options.skipLines skips lines an earlier attempt already wrote; an error
+   * carries linesWritten, the lines of the body in the buffer so far.
+   */
+  async processLogLines(deviceId, logLines, options = {}) {
+    let linesProcessed = 0;
+    let bytesProcessed = 0;
+    let unparseableLines = 0;
+    // Lines of this body in the buffer, including options.skipLines lines
+    // written by an earlier, failed attempt (which are skipped now)
+    const skipLines = options.skipLines || 0;
+    let linesSeen = 0;
+    let linesWritten = skipLines;
+    const onWritten = (lines) => {
+      linesWritten += lines;
+    };
 
-      // Process each line and collect entries by filename
-      const fileEntries = new Map();
+    try {
+      // Track request for rate calculation
+      this.trackRequest();
+      metrics.ingestRequests.inc({ device_id: deviceId });
+
+      const timeZone = this.resolveTimezone(deviceId, options.timezone);
+      const format = this.resolveFormat(deviceId, options.format);
+      // Reference time for inferring the year of year-less timestamps
+      const receivedAt = Date.now();
+      // Extra buffer file partition (device or group), if enabled
+      const partition = resolvePartition(deviceId);
+      // Add hostname, program, pid, severity, ... next to the message
+      const extract = this.resolveExtraction(deviceId);
+
+      // Pending serialized entries in input order, as runs of consecutive
+      // entries for the same file, flushed in batches
+      const pendingRuns = [];
+      const filesWritten = new Set();
+      let pendingLines = 0;
+      // Entries for live tail subscribers, published once written
+      const tailEntries = [];
+      // Alert rule matches, counted once written
+      const alertMatches = [];
+
+      for await (const line of logLines) {
+        if (linesSeen++ < skipLines) {
+          continue;
+        }
 
-      for (const line of logLines) {
-        // Get the base timestamp (without milliseconds) to use as a key
-        const baseTimestamp = this.getTimestampFromLog(line, 0);
+        const parsed = this.parseLogTimestamp(
+          line,
+          timeZone,
+          format,
+          receivedAt
+        );
         let logTimestamp;
 
-        if (!baseTimestamp) {
+        if (!parsed) {
           // If no valid timestamp found, use current time
           logTimestamp = new Date().toISOString();
+          unparseableLines++;
         } else {
-          // Create a key without milliseconds (truncate to seconds)
-          const secondKey = baseTimestamp.substring(0, 19) + "Z";
-
-          // Get or initialize the counter for this second
-          const currentCount = secondCounters.get(secondKey) || 0;
-          secondCounters.set(secondKey, currentCount + 1);
-
-          // Use the counter as the millisecond index
-          logTimestamp =
-            this.getTimestampFromLog(line, currentCount) ||
-            new Date().toISOString();
+          // The event time as the source wrote it; entries sharing a second
+          // are ordered by seq
+          logTimestamp = parsed.date.toISOString();
         }
 
-        // Create log entry
+        // Create log entry, recording the source offset the time was read in
+        // and the device's next sequence number (order of receipt)
         const logEntry = {
           device_id: deviceId,
           log_timestamp: logTimestamp,
+          seq: this.sequencer.next(deviceId),
           message: line,
+          tz_offset: parsed ? parsed.offset : null,
         };
 
-        // Determine filename from timestamp
-        const timestamp = new Date(logTimestamp);
-        const filename = this.getHourKey(timestamp) + ".log";
+        // Flag entries whose year was inferred (e.g. across New Year)
+        if (parsed && parsed.yearInferred) {
+          logEntry.year_inferred = true;
+        }
 
-        // Group entries by filename
-        if (!fileEntries.has(filename)) {
-          fileEntries.set(filename, []);
+        if (extract) {
+          Object.assign(logEntry, this.extractFields(line, parsed));
         }
-        fileEntries.get(filename).push(logEntry);
-      }
 
-      // Write all entries to their respective files
-      const writePromises = [];
-      for (const [filename, entries] of fileEntries) {
-        const filePath = path.join(config.paths.incoming, filename);
-        const content = entries
-          .map((entry) => JSON.stringify(entry) + "\n")
-          .join("");
-
-        writePromises.push(
-          new Promise((resolve, reject) => {
-            fs.appendFile(filePath, content, (error) => {
-              if (error) {
-                reject(error);
-              } else {
-                resolve();
-              }
-            });
-          })
+        // Determine filename from timestamp
+        const timestamp = new Date(logTimestamp);
+        const filename = buildBufferFilename(
+          this.getHourKey(timestamp),
+          partition
         );
+
+        // Extend the current run, or start one for another file
+        const serialized = JSON.stringify(logEntry) + "\n";
+        const lastRun = pendingRuns[pendingRuns.length - 1];
+        if (lastRun && lastRun.filename === filename) {
+          lastRun.content += serialized;
+          lastRun.lines++;
+        } else {
+          pendingRuns.push({ filename, content: serialized, lines: 1 });
+        }
+        filesWritten.add(filename);
+        if (logTail.hasSubscribers(deviceId)) {
+          tailEntries.push(logEntry);
+        }
+        if (alertEngine.hasRules()) {
+          // Severity rules also apply when fields are not extracted
+          const severity =
+            extract || !alertEngine.usesSeverity
+              ? logEntry.severity
+              : this.extractFields(line, parsed).severity;
+          for (const rule of alertEngine.match(deviceId, logEntry, severity)) {
+            alertMatches.push({ rule, entry: logEntry });
+          }
+        }
+        linesProcessed++;
+        // Decoded line plus its newline
+        bytesProcessed += Buffer.byteLength(line) + 1;
+
+        if (++pendingLines >= config.upload.flushLines) {
+          await this.flushFileEntries(pendingRuns, onWritten);
+          logTail.publish(deviceId, tailEntries.splice(0));
+          alertEngine.record(deviceId, alertMatches.splice(0));
+          pendingLines = 0;
+        }
       }
 
-      await Promise.all(writePromises);
+      await this.flushFileEntries(pendingRuns, onWritten);
+      logTail.publish(deviceId, tailEntries.splice(0));
+      alertEngine.record(deviceId, alertMatches.splice(0));
 
       return {
-        success: true,
-        linesProcessed: logLines.length,
-        filesWritten: fileEntries.size,
+        success: linesProcessed > 0,
+        linesProcessed,
+        bytesProcessed,
+        unparseableLines,
+        filesWritten: filesWritten.size,
       };
     } catch (error) {
       console.error("Error processing log content:", error);
+      // Lines already in the buffer when the request failed part-way
+      error.linesWritten = linesWritten;
       throw error;
+    } finally {
+      // Also counts the lines of a request that failed part-way
+      metrics.ingestLines.inc({ device_id: deviceId }, linesProcessed);
+      metrics.ingestBytes.inc({ device_id: deviceId }, bytesProcessed);
+      this.deviceStats.record(deviceId, {
+        lines: linesProcessed,
+        bytes: bytesProcessed,
+        unparseableLines,
+      });
+    }
+  }
+
+  /**
+   * Append pending runs ({ filename, content, lines }) to their incoming
+   * files and clear them. Runs are written one after another in input
+   * order, calling onWritten(lines) after each, so when an append fails the
+   * lines reported written are exactly a prefix of the body.
+   */
+  async flushFileEntries(pendingRuns, onWritten = () => {}) {
+    // The entries' sequence numbers must be reserved on disk first
+    await this.sequencer.persisted();
+
+    for (const { filename, content, lines } of pendingRuns.splice(0)) {
+      const filePath = path.join(config.paths.incoming, filename);
+      // Never append while the sweeper is moving this file
+      await bufferRotation.withWrite(filename, () =>
+        fs.promises.appendFile(filePath, content)
+      );
+      onWritten(lines);
     }
   }
 }
@@ -0,0 +1,271 @@
+/**
+ * Minimal in-process metrics registry rendered in the Prometheus text
+ * exposition format (GET /metrics)
+ */
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {name="value",...} (empty string for no labels)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity as +Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Series by label values, key: JSON of the label values in order
+    this.series = new Map();
+  }
+
+  /**
+   * Get (or create) the series for a label set
+   */
+  getSeries(labels, create) {
+    const values = this.labelNames.map((name) => String(labels[name] ?? ""));
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = create();
+      series.labels = Object.fromEntries(
+        this.labelNames.map((name, i) => [name, values[i]])
+      );
+      this.series.set(key, series);
+    }
+
+    return series;
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+
+    return lines.join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [
+      `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`,
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets, labelNames) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets.concat(Infinity);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map(
+      (bound, i) =>
+        `${this.name}_bucket${formatLabels({
+          ...series.labels,
+          le: formatValue(bound),
+        })} ${series.counts[i]}`
+    );
+
+    const labels = formatLabels(series.labels);
+    lines.push(`${this.name}_sum${labels} ${series.sum}`);
+    lines.push(`${this.name}_count${labels} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, buckets, labelNames = []) {
+    return this.register(new Histogram(name, help, buckets, labelNames));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map((metric) => metric.render()).join("\n") + "\n";
+  }
+}
+
+const registry = new MetricsRegistry();
+
+// Metrics of this service, shared by the upload path, the batch processor
+// and the /metrics route (same process)
+const metrics = {
+  ingestRequests: registry.counter(
+    "hrl_ingest_requests_total",
+    "Upload requests received, per device",
+    ["device_id"]
+  ),
+  ingestLines: registry.counter(
+    "hrl_ingest_lines_total",
+    "Log lines ingested, per device",
+    ["device_id"]
+  ),
+  ingestBytes: registry.counter(
+    "hrl_ingest_bytes_total",
+    "Bytes of log lines ingested (decoded), per device",
+    ["device_id"]
+  ),
+  throttledRequests: registry.counter(
+    "hrl_throttled_requests_total",
+    "Upload requests rejected by rate limiting, per device and limit",
+    ["device_id", "reason"]
+  ),
+  idempotentReplays: registry.counter(
+    "hrl_idempotent_replays_total",
+    "Repeated uploads answered from the idempotency store, per device",
+    ["device_id"]
+  ),
+  uploadDuration: registry.histogram(
+    "hrl_upload_duration_seconds",
+    "Duration of upload requests",
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+  ),
+  uploadSize: registry.histogram(
+    "hrl_upload_size_bytes",
+    "Decoded size of upload requests",
+    [1024, 10240, 102400, 1048576, 10485760, 104857600, 268435456]
+  ),
+  batchDuration: registry.histogram(
+    "hrl_batch_duration_seconds",
+    "Duration of batch runs",
+    [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+  ),
+  batchSize: registry.histogram(
+    "hrl_batch_size_bytes",
+    "Uncompressed bytes of buffer files processed per batch run",
+    [1048576, 10485760, 104857600, 1073741824, 10737418240]
+  ),
+  archiveRetries: registry.counter(
+    "hrl_archive_upload_retries_total",
+    "Archive upload retries, per sink",
+    ["sink"]
+  ),
+  archiveFailures: registry.counter(
+    "hrl_archive_upload_failures_total",
+    "Archive uploads that failed after all retries, per sink",
+    ["sink"]
+  ),
+  bufferFiles: registry.gauge(
+    "hrl_buffer_files",
+    "Files in the buffer directories",
+    ["directory"]
+  ),
+  bufferBytes: registry.gauge(
+    "hrl_buffer_bytes",
+    "Size of the buffer directories",
+    ["directory"]
+  ),
+  diskUsage: registry.gauge(
+    "hrl_disk_usage_percent",
+    "Disk usage of the buffer volume"
+  ),
+  diskFullRejections: registry.counter(
+    "hrl_disk_full_rejections_total",
+    "Upload requests refused because the buffer volume is nearly full"
+  ),
+  alertsTriggered: registry.counter(
+    "hrl_alerts_triggered_total",
+    "Alert rule triggers (including deduplicated ones), per rule and device",
+    ["rule", "device_id"]
+  ),
+  alertWebhookFailures: registry.counter(
+    "hrl_alert_webhook_failures_total",
+    "Alert notifications that failed after all retries, per webhook",
+    ["webhook"]
+  ),
+  lastSuccessfulBatch: registry.gauge(
+    "hrl_last_successful_batch_timestamp_seconds",
+    "Unix time the last successful batch run finished (0 if none)"
+  ),
+};
+
+module.exports = { MetricsRegistry, registry, metrics };
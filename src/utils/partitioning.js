@@ -0,0 +1,89 @@
+const config = require("../config");
+
+// Supported partitioning modes for buffer files and S3 keys
+const PARTITION_MODES = ["hour", "device", "group"];
+
+// Group used for devices without a "group" setting in group mode
+const DEFAULT_DEVICE_GROUP = "ungrouped";
+
+// YYYY-MM-DD-HH.log, optionally YYYY-MM-DD-HH.<device_id|device_group>=<value>.log;
+// quarantined copies of an hour already in failed/ add +<n> before .log (the
+// value is URI-encoded, so it holds no "+")
+const BUFFER_FILENAME_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})-(\d{2})(?:\.(device_id|device_group)=([^/+]+))?(?:\+(\d+))?\.log$/;
+
+/**
+ * Resolve the extra partition for a device under the configured mode.
+ * Returns { key, value } or null in plain hourly mode.
+ */
+function resolvePartition(deviceId) {
+  switch (config.partitioning.mode) {
+    case "device":
+      return { key: "device_id", value: deviceId };
+    case "group": {
+      const settings = config.devices[deviceId] || {};
+      return {
+        key: "device_group",
+        value: settings.group || DEFAULT_DEVICE_GROUP,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the incoming buffer filename for an hour key (YYYY-MM-DD-HH) and an
+ * optional partition from resolvePartition()
+ */
+function buildBufferFilename(hourKey, partition = null) {
+  if (!partition) {
+    return `${hourKey}.log`;
+  }
+  return `${hourKey}.${partition.key}=${encodeURIComponent(
+    partition.value
+  )}.log`;
+}
+
+/**
+ * Parse a buffer filename in either layout.
+ * Returns { year, month, day, hour, hourKey, partition, bufferFilename } or
+ * null; bufferFilename is the name without a quarantine copy suffix.
+ */
+function parseBufferFilename(filename) {
+  const match = filename.match(BUFFER_FILENAME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, partitionKey, partitionValue, copy] = match;
+  let partition = null;
+
+  if (partitionKey) {
+    try {
+      partition = {
+        key: partitionKey,
+        value: decodeURIComponent(partitionValue),
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    year,
+    month,
+    day,
+    hour,
+    hourKey: `${year}-${month}-${day}-${hour}`,
+    partition,
+    bufferFilename: copy ? filename.replace(`+${copy}.log`, ".log") : filename,
+  };
+}
+
+module.exports = {
+  PARTITION_MODES,
+  resolvePartition,
+  buildBufferFilename,
+  parseBufferFilename,
+};
@@ -0,0 +1,235 @@
+const config = require("../config");
+
+// Dimensions an upload is limited on, with their config setting
+const LIMITS = {
+  requests: "requestsPerMinute",
+  lines: "linesPerMinute",
+  bytes: "bytesPerMinute",
+};
+
+/**
+ * Token bucket holding up to one minute's allowance, refilled continuously.
+ * Tokens may go negative (debt) when a request turns out larger than what
+ * was left; further requests wait until the debt is paid off.
+ */
+class TokenBucket {
+  constructor(perMinute) {
+    this.perMinute = perMinute;
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.updatedAt) * this.perMinute) / 60000
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until at least `amount` tokens are available
+   */
+  waitTime(amount, now) {
+    this.refill(now);
+    if (this.tokens >= amount) {
+      return 0;
+    }
+    return Math.ceil(((amount - this.tokens) * 60000) / this.perMinute);
+  }
+
+  take(amount, now) {
+    this.refill(now);
+    this.tokens -= amount;
+  }
+
+  toJSON() {
+    return {
+      per_minute: this.perMinute,
+      tokens: Math.floor(this.tokens),
+    };
+  }
+}
+
+/**
+ * Token-bucket rate limiting of uploads by requests, lines and bytes, for
+ * all devices together (global) and per device. Requests are admitted
+ * before the body is read; lines and bytes are charged as the body is read
+ * (also for uploads that fail later), and an upload is cut short once a
+ * line or byte bucket runs out, so a device over its allowance is held off
+ * until its bucket has refilled.
+ */
+class RateLimiter {
+  constructor() {
+    // Buckets for all devices together, key: limit name
+    this.globalBuckets = this.createBuckets(config.rateLimit.global);
+    // Buckets per device, key: device id, value: buckets by limit name
+    this.deviceBuckets = new Map();
+    this.throttled = {
+      total: 0,
+      by_reason: { requests: 0, lines: 0, bytes: 0 },
+      // key: device id, value: count
+      by_device: new Map(),
+    };
+  }
+
+  /**
+   * Create buckets for the limits that are set (0 or unset = unlimited)
+   */
+  createBuckets(settings = {}) {
+    const buckets = {};
+    for (const [limit, setting] of Object.entries(LIMITS)) {
+      if (settings[setting] > 0) {
+        buckets[limit] = new TokenBucket(settings[setting]);
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Get (or create) the buckets of a device: the default per-device limits,
+   * overridden by the device's "rateLimit" setting
+   */
+  getDeviceBuckets(deviceId) {
+    let buckets = this.deviceBuckets.get(deviceId);
+
+    if (!buckets) {
+      const overrides = (config.devices[deviceId] || {}).rateLimit || {};
+      buckets = this.createBuckets({
+        ...config.rateLimit.device,
+        ...overrides,
+      });
+      this.deviceBuckets.set(deviceId, buckets);
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Admit an upload request, taking one request token. Returns null if the
+   * request may proceed, otherwise { scope, reason, retryAfterSeconds }.
+   */
+  admit(deviceId, now = Date.now()) {
+    const scopes = {
+      global: this.globalBuckets,
+      device: this.getDeviceBuckets(deviceId),
+    };
+    let blocked = null;
+
+    for (const [scope, buckets] of Object.entries(scopes)) {
+      for (const [reason, bucket] of Object.entries(buckets)) {
+        const wait = bucket.waitTime(1, now);
+        if (wait > 0 && (!blocked || wait > blocked.wait)) {
+          blocked = { scope, reason, wait };
+        }
+      }
+    }
+
+    if (blocked) {
+      this.recordThrottled(deviceId, blocked.reason);
+      return {
+        scope: blocked.scope,
+        reason: blocked.reason,
+        retryAfterSeconds: Math.ceil(blocked.wait / 1000),
+      };
+    }
+
+    for (const buckets of Object.values(scopes)) {
+      if (buckets.requests) {
+        buckets.requests.take(1, now);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Charge lines and bytes of an upload as they are read. Returns null while
+   * the buckets last, otherwise { scope, reason, retryAfterSeconds } for the
+   * bucket the charge used up; an upload stopped there is counted with
+   * recordThrottled().
+   */
+  charge(deviceId, { lines, bytes }, now = Date.now()) {
+    const scopes = {
+      global: this.globalBuckets,
+      device: this.getDeviceBuckets(deviceId),
+    };
+    const amounts = { lines, bytes };
+    let blocked = null;
+
+    for (const [scope, buckets] of Object.entries(scopes)) {
+      for (const [reason, amount] of Object.entries(amounts)) {
+        const bucket = buckets[reason];
+        if (!bucket) {
+          continue;
+        }
+        bucket.take(amount, now);
+        if (bucket.tokens <= 0) {
+          const wait = bucket.waitTime(1, now);
+          if (!blocked || wait > blocked.wait) {
+            blocked = { scope, reason, wait };
+          }
+        }
+      }
+    }
+
+    if (!blocked) {
+      return null;
+    }
+    return {
+      scope: blocked.scope,
+      reason: blocked.reason,
+      retryAfterSeconds: Math.ceil(blocked.wait / 1000),
+    };
+  }
+
+  recordThrottled(deviceId, reason) {
+    this.throttled.total++;
+    this.throttled.by_reason[reason]++;
+    this.throttled.by_device.set(
+      deviceId,
+      (this.throttled.by_device.get(deviceId) || 0) + 1
+    );
+  }
+
+  /**
+   * Throttled request counts since startup
+   */
+  getThrottledCounts() {
+    return {
+      total: this.throttled.total,
+      by_reason: { ...this.throttled.by_reason },
+      by_device: Object.fromEntries(this.throttled.by_device),
+    };
+  }
+
+  /**
+   * Current bucket levels, globally and for every device seen so far
+   */
+  getState(now = Date.now()) {
+    const snapshot = (buckets) => {
+      const state = {};
+      for (const [limit, bucket] of Object.entries(buckets)) {
+        bucket.refill(now);
+        state[limit] = bucket.toJSON();
+      }
+      return state;
+    };
+
+    const devices = {};
+    for (const [deviceId, buckets] of this.deviceBuckets) {
+      devices[deviceId] = snapshot(buckets);
+    }
+
+    return {
+      global: snapshot(this.globalBuckets),
+      devices,
+    };
+  }
+}
+
+// Shared by the upload route and the monitoring API (same process)
+const rateLimiter = new RateLimiter();
+
+module.exports = { RateLimiter, rateLimiter };
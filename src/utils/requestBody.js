@@ -0,0 +1,364 @@
+const zlib = require("zlib");
+const { PassThrough, Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const busboy = require("busboy");
+const config = require("../config");
+
+// First two bytes of every gzip stream
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+/**
+ * Create an error carrying the HTTP status the upload route should answer with
+ */
+function createBodyError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Map zlib failures to a client error; other stream errors pass through
+ */
+function toBodyError(error) {
+  if (error.code && error.code.startsWith("Z_")) {
+    return createBodyError("Invalid compressed request body", 400);
+  }
+  return error;
+}
+
+/**
+ * Splits decoded body bytes into non-empty log lines (object mode output).
+ * Lines longer than maxLineLength are truncated, and more than maxLines
+ * lines fail the stream with a 413 error.
+ */
+class LineSplitter extends Transform {
+  constructor({ maxLineLength, maxLines }) {
+    super({ readableObjectMode: true });
+    this.maxLineLength = maxLineLength;
+    this.maxLines = maxLines;
+    this.decoder = new StringDecoder("utf8");
+    this.partial = "";
+    // True while skipping the rest of an over-long line
+    this.discarding = false;
+    this.lineCount = 0;
+    this.truncatedLines = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.consume(this.decoder.write(chunk));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.consume(this.decoder.end());
+      this.emitLine();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  consume(text) {
+    let start = 0;
+    let newline;
+
+    while ((newline = text.indexOf("\n", start)) !== -1) {
+      this.appendPartial(text.slice(start, newline));
+      this.emitLine();
+      start = newline + 1;
+    }
+
+    this.appendPartial(text.slice(start));
+  }
+
+  appendPartial(piece) {
+    if (this.discarding || piece.length === 0) {
+      return;
+    }
+
+    this.partial += piece;
+
+    if (this.partial.length > this.maxLineLength) {
+      this.partial = this.partial.slice(0, this.maxLineLength);
+      this.discarding = true;
+      this.truncatedLines++;
+    }
+  }
+
+  emitLine() {
+    const line = this.partial;
+    this.partial = "";
+    this.discarding = false;
+
+    if (line.length === 0) {
+      return;
+    }
+
+    if (++this.lineCount > this.maxLines) {
+      throw createBodyError(
+        `Too many log lines in request (limit ${this.maxLines})`,
+        413
+      );
+    }
+
+    this.push(line);
+  }
+}
+
+/**
+ * Wait until a writable stream can take more data
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off("drain", onDrain);
+      reject(stream.errored || new Error("Upload stream closed"));
+    };
+
+    stream.once("drain", onDrain);
+    stream.once("close", onClose);
+  });
+}
+
+/**
+ * Feed a byte stream into the line splitter with backpressure, enforcing the
+ * per-request size limit on the decoded bytes
+ */
+async function feedStream(source, lines, budget) {
+  for await (const chunk of source) {
+    budget.bytes += chunk.length;
+    if (budget.bytes > config.upload.maxBodyBytes) {
+      throw createBodyError(
+        `Request body too large (limit ${config.upload.maxBodyBytes} bytes)`,
+        413
+      );
+    }
+
+    if (!lines.write(chunk)) {
+      await waitForDrain(lines);
+    }
+  }
+
+  // Terminate the last line of this part so parts never run together
+  if (!lines.write("\n")) {
+    await waitForDrain(lines);
+  }
+}
+
+/**
+ * Fail target when source errors or closes before its end (client abort):
+ * pipe() does not pass either on, and a reader of target would wait forever
+ */
+function destroyOnAbort(source, target) {
+  source.on("error", (error) => target.destroy(error));
+  source.on("close", () => {
+    if (!source.readableEnded) {
+      target.destroy(new Error("Upload aborted"));
+    }
+  });
+}
+
+/**
+ * Pipe the body through a decompressor that fails with it
+ */
+function pipeDecoder(body, decoder) {
+  destroyOnAbort(body, decoder);
+  return body.pipe(decoder);
+}
+
+/**
+ * Get the request body stream, decoded according to Content-Encoding
+ */
+function getDecodedStream(req, body) {
+  const encoding = (req.headers["content-encoding"] || "identity")
+    .trim()
+    .toLowerCase();
+
+  switch (encoding) {
+    case "identity":
+      return body;
+    case "gzip":
+    case "x-gzip":
+      return pipeDecoder(body, zlib.createGunzip());
+    case "deflate":
+      return pipeDecoder(body, zlib.createInflate());
+    default:
+      throw createBodyError(`Unsupported Content-Encoding: ${encoding}`, 415);
+  }
+}
+
+/**
+ * Decode an uploaded file part: gzip-compressed parts are inflated
+ */
+function decodePart(fileStream) {
+  return new Promise((resolve, reject) => {
+    const onReadable = () => {
+      cleanup();
+      // Peek at the first bytes, then put them back for the real reader
+      const head = fileStream.read();
+      if (head) {
+        fileStream.unshift(head);
+      }
+
+      if (head && head.subarray(0, 2).equals(GZIP_MAGIC)) {
+        resolve(pipeDecoder(fileStream, zlib.createGunzip()));
+      } else {
+        resolve(fileStream);
+      }
+    };
+    const onEnd = () => {
+      // Empty part: ends without ever becoming readable
+      cleanup();
+      resolve(fileStream);
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const cleanup = () => {
+      fileStream.off("readable", onReadable);
+      fileStream.off("end", onEnd);
+      fileStream.off("error", onError);
+    };
+
+    fileStream.once("readable", onReadable);
+    fileStream.once("end", onEnd);
+    fileStream.once("error", onError);
+  });
+}
+
+/**
+ * Read the raw request body into memory if it is at most maxBytes. Returns
+ * { buffer, body }: buffer is the whole body, or null if it was larger;
+ * body replays it (and the unread rest) for streamUploadLines.
+ */
+function bufferRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const cleanup = () => {
+      req.off("data", onData);
+      req.off("end", onEnd);
+      req.off("error", onError);
+      req.off("close", onClose);
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size <= maxBytes) {
+        return;
+      }
+
+      // Too large to hold: stream the rest behind what was read so far
+      cleanup();
+      req.pause();
+      const body = new PassThrough();
+      for (const buffered of chunks) {
+        body.write(buffered);
+      }
+      destroyOnAbort(req, body);
+      req.pipe(body);
+      resolve({ buffer: null, body });
+    };
+    const onEnd = () => {
+      cleanup();
+      const buffer = Buffer.concat(chunks);
+      const body = new PassThrough();
+      body.end(buffer);
+      resolve({ buffer, body });
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error("Upload aborted"));
+    };
+
+    req.on("data", onData);
+    req.once("end", onEnd);
+    req.once("error", onError);
+    req.once("close", onClose);
+  });
+}
+
+/**
+ * Stream the log lines of an upload request. Accepts raw text bodies and
+ * multipart bodies with one or more "files" parts (each optionally a gzip
+ * file), either optionally compressed with Content-Encoding gzip/deflate.
+ * body is the raw body stream, by default the request itself. Returns an
+ * object-mode readable of lines; limit violations surface as stream errors
+ * with a statusCode.
+ */
+function streamUploadLines(req, body = req) {
+  const declaredLength = parseInt(req.headers["content-length"], 10);
+  if (
+    !req.headers["content-encoding"] &&
+    declaredLength > config.upload.maxBodyBytes
+  ) {
+    throw createBodyError(
+      `Request body too large (limit ${config.upload.maxBodyBytes} bytes)`,
+      413
+    );
+  }
+
+  const source = getDecodedStream(req, body);
+  const lines = new LineSplitter(config.upload);
+  const budget = { bytes: 0 };
+
+  const fail = (error) => {
+    // Stop parsing but drain the request so the error response gets through
+    req.unpipe();
+    body.unpipe();
+    source.unpipe();
+    req.resume();
+    lines.destroy(toBodyError(error));
+  };
+
+  if (!req.is("multipart/form-data")) {
+    feedStream(source, lines, budget).then(() => lines.end(), fail);
+    return lines;
+  }
+
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers });
+  } catch (error) {
+    throw createBodyError("Invalid multipart request", 400);
+  }
+
+  // Parts are fed one at a time; busboy holds back later parts meanwhile
+  let queue = Promise.resolve();
+
+  parser.on("file", (name, fileStream) => {
+    if (name !== "files") {
+      fileStream.resume();
+      return;
+    }
+    queue = queue.then(async () => {
+      await feedStream(await decodePart(fileStream), lines, budget);
+    });
+    queue.catch(fail);
+  });
+  parser.on("close", () => queue.then(() => lines.end(), fail));
+  parser.on("error", () =>
+    fail(createBodyError("Invalid multipart request", 400))
+  );
+  source.on("error", fail);
+
+  source.pipe(parser);
+  return lines;
+}
+
+module.exports = { bufferRequestBody, streamUploadLines };
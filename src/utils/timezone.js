@@ -0,0 +1,105 @@
+// Cache of Intl formatters, key: IANA zone name
+const formatterCache = new Map();
+
+/**
+ * Get (and cache) a formatter that renders wall-clock parts in a timezone
+ */
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+
+  if (!formatter) {
+    // Throws RangeError for unknown zone names
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the UTC offset in minutes of a timezone at a given UTC instant
+ */
+function getOffsetMinutes(timeZone, utcMillis) {
+  const instant = Math.floor(utcMillis / 1000) * 1000;
+  const parts = {};
+
+  for (const { type, value } of getFormatter(timeZone).formatToParts(
+    new Date(instant)
+  )) {
+    parts[type] = value;
+  }
+
+  const wallAsUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour) % 24,
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return Math.round((wallAsUtc - instant) / 60000);
+}
+
+/**
+ * Convert wall-clock time in a timezone to a UTC instant.
+ * wallMillis is Date.UTC() of the wall-clock components.
+ */
+function zonedTimeToUtc(wallMillis, timeZone) {
+  // First guess uses the offset at the wall time itself, then re-check the
+  // offset at the resulting instant to land on the right side of DST changes
+  let offsetMinutes = getOffsetMinutes(timeZone, wallMillis);
+  let utcMillis = wallMillis - offsetMinutes * 60000;
+
+  const actualOffset = getOffsetMinutes(timeZone, utcMillis);
+  if (actualOffset !== offsetMinutes) {
+    offsetMinutes = actualOffset;
+    utcMillis = wallMillis - offsetMinutes * 60000;
+  }
+
+  return { utcMillis, offsetMinutes };
+}
+
+/**
+ * Format an offset in minutes as "+HH:MM"
+ */
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, "0");
+  const minutes = String(absolute % 60).padStart(2, "0");
+
+  return `${sign}${hours}:${minutes}`;
+}
+
+module.exports = {
+  isValidTimezone,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  formatOffset,
+};
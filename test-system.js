@@ -13,6 +13,7 @@ const http = require("http");
 const TEST_CONFIG = {
   baseUrl: "http://localhost:3000",
   apiKey: "test-api-key",
+  readApiKey: "test-read-key",
   testDeviceId: "test-device-001",
   logBasePath: "./test-data/logs",
 };
@@ -31,7 +32,37 @@ class SystemTester {
       await this.testHealthEndpoint();
       await this.testLogUpload();
       await this.testMonitoringEndpoints();
+      await this.testApiRoles();
+      await this.testKeyRegistry();
+      await this.testSourceTimezone();
+      await this.testLogFormats();
+      await this.testYearInference();
+      await this.testCompressedUploads();
+      await this.testPartitioning();
       await this.testBatchProcessing();
+      await this.testSweepClosedHours();
+      await this.testMultipartResume();
+      await this.testDeterministicArchiveKeys();
+      await this.testArchiveSinks();
+      await this.testQuarantineCopies();
+      await this.testAutoRetryAllowance();
+      await this.testFailureRetryAndPurge();
+      await this.testRunHistory();
+      await this.testMetricsEndpoint();
+      await this.testDeviceStats();
+      await this.testSearchPaging();
+      await this.testSearchPagingAcrossSweep();
+      await this.testSearchRegex();
+      await this.testTailRegex();
+      await this.testIdempotentUpload();
+      await this.testUploadLimits();
+      await this.testPartialWriteResume();
+      await this.testSequenceNumbers();
+      await this.testRateLimitCharging();
+      await this.testDiskPressure();
+      await this.testBufferRetention();
+      await this.testFieldExtraction();
+      await this.testAlertRules();
 
       console.log(
         `\n✅ Tests completed: ${this.testsPassed} passed, ${this.testsFailed} failed`
@@ -53,6 +84,7 @@ class SystemTester {
 
     // Set test environment variables
     process.env.API_KEY = TEST_CONFIG.apiKey;
+    process.env.READ_API_KEY = TEST_CONFIG.readApiKey;
     process.env.LOG_BASE_PATH = TEST_CONFIG.logBasePath;
     process.env.PORT = "3000";
     process.env.S3_BUCKET_NAME = "test-bucket";
@@ -82,7 +114,9 @@ class SystemTester {
     console.log("\n🏥 Testing health endpoint...");
 
     try {
-      const response = await this.makeRequest("GET", "/api/status");
+      const response = await this.makeRequest("GET", "/api/status", {
+        headers: { Authorization: TEST_CONFIG.readApiKey },
+      });
       this.assert(
         response.status === "ok",
         "Health check should return ok status"
@@ -105,7 +139,7 @@ class SystemTester {
       // Test with valid API key
       const response = await this.makeRequest(
         "POST",
-        `/upload-logs/${TEST_CONFIG.testDeviceId}`,
+        `/supervisor/v1/${TEST_CONFIG.testDeviceId}/upload-logs`,
         {
           body: testLog,
           headers: {
@@ -142,7 +176,7 @@ class SystemTester {
     try {
       await this.makeRequest(
         "POST",
-        `/upload-logs/${TEST_CONFIG.testDeviceId}`,
+        `/supervisor/v1/${TEST_CONFIG.testDeviceId}/upload-logs`,
         {
           body: testLog,
           headers: {
@@ -167,9 +201,11 @@ class SystemTester {
   async testMonitoringEndpoints() {
     console.log("\n📊 Testing monitoring endpoints...");
 
+    const readAuth = { headers: { Authorization: TEST_CONFIG.readApiKey } };
+
     try {
       // Test stats endpoint
-      const stats = await this.makeRequest("GET", "/api/stats");
+      const stats = await this.makeRequest("GET", "/api/stats", readAuth);
       this.assert(
         typeof stats.ingestion_rate_5min === "number",
         "Stats should include ingestion rate"
@@ -177,7 +213,11 @@ class SystemTester {
       console.log("   ✓ Stats endpoint working");
 
       // Test buffer state endpoint
-      const bufferState = await this.makeRequest("GET", "/api/buffer/state");
+      const bufferState = await this.makeRequest(
+        "GET",
+        "/api/buffer/state",
+        readAuth
+      );
       this.assert(
         bufferState.incoming,
         "Buffer state should include incoming stats"
@@ -193,7 +233,7 @@ class SystemTester {
       console.log("   ✓ Buffer state endpoint working");
 
       // Test failures endpoint
-      const failures = await this.makeRequest("GET", "/api/failures");
+      const failures = await this.makeRequest("GET", "/api/failures", readAuth);
       this.assert(Array.isArray(failures), "Failures should return an array");
       console.log("   ✓ Failures endpoint working");
 
@@ -204,6 +244,397 @@ class SystemTester {
     }
   }
 
+  async testApiRoles() {
+    console.log("\n🛂 Testing monitoring API roles...");
+
+    const expectStatus = async (method, path, headers, statusCode) => {
+      try {
+        await this.makeRequest(method, path, { headers });
+      } catch (error) {
+        if (error.statusCode === statusCode) {
+          return;
+        }
+        throw error;
+      }
+      throw new Error(`${method} ${path} should fail with ${statusCode}`);
+    };
+
+    try {
+      await expectStatus("GET", "/api/stats", {}, 401);
+      await expectStatus(
+        "GET",
+        "/api/stats",
+        { Authorization: TEST_CONFIG.apiKey },
+        401
+      );
+      console.log("   ✓ Requests without a read token rejected");
+
+      const readAuth = { Authorization: `Bearer ${TEST_CONFIG.readApiKey}` };
+      await expectStatus("POST", "/api/trigger-batch", readAuth, 403);
+      await expectStatus("GET", "/api/keys", readAuth, 403);
+      console.log("   ✓ Read token refused on admin routes");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Monitoring API roles failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testKeyRegistry() {
+    console.log("\n🔑 Testing device API key registry...");
+
+    try {
+      const KeyRegistry = require("./src/services/keyRegistry");
+      const registry = new KeyRegistry();
+      await registry.load();
+
+      const issued = await registry.issue("test-key-device");
+      const record = registry.lookup(issued.key);
+      this.assert(
+        record && record.device_id === "test-key-device",
+        "Issued key should resolve to its device"
+      );
+      this.assert(
+        !JSON.stringify(registry.list("test-key-device")).includes(issued.key),
+        "Key list should not include the secret"
+      );
+      console.log("   ✓ Key issued and bound to its device");
+
+      // Within the grace period both the old and the new key work
+      const rotated = await registry.rotate(issued.id, 60);
+      this.assert(
+        registry.lookup(issued.key) && registry.lookup(rotated.current.key),
+        "Old and new key should both work during the grace period"
+      );
+      const replaced = await registry.rotate(rotated.current.id);
+      this.assert(
+        !registry.lookup(rotated.current.key) &&
+          registry.lookup(replaced.current.key),
+        "Rotation without a grace period should retire the old key at once"
+      );
+      console.log("   ✓ Rotation honours the grace period");
+
+      await registry.revoke(replaced.current.id);
+      this.assert(
+        !registry.lookup(replaced.current.key),
+        "Revoked key should be refused"
+      );
+      const reloaded = new KeyRegistry();
+      await reloaded.load();
+      this.assert(
+        reloaded.lookup(issued.key) && !reloaded.lookup(replaced.current.key),
+        "Registry should keep keys and revocations across a reload"
+      );
+      console.log("   ✓ Revocation takes effect and persists");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Key registry failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testSourceTimezone() {
+    console.log("\n🌐 Testing source timezone resolution...");
+
+    const config = require("./src/config");
+
+    try {
+      const LogProcessor = require("./src/utils/logProcessor");
+      const processor = new LogProcessor();
+      config.devices["test-tz-device"] = { timezone: "America/New_York" };
+
+      this.assert(
+        processor.resolveTimezone("test-tz-device") === "America/New_York",
+        "Device timezone should override the global default"
+      );
+      this.assert(
+        processor.resolveTimezone("test-tz-device", "Europe/Berlin") ===
+          "Europe/Berlin",
+        "Request timezone should override the device timezone"
+      );
+      this.assert(
+        processor.resolveTimezone("test-other-device") ===
+          config.timestamps.defaultTimezone,
+        "Devices without a setting should use the global default"
+      );
+      console.log("   ✓ Request, device and global timezone precedence");
+
+      // Wall-clock times are read with the zone's offset on that date
+      const receivedAt = Date.parse("2024-07-10T00:00:00Z");
+      const summer = processor.parseLogTimestamp(
+        "Jul 04 12:00:00 host-01 app: summer",
+        "America/New_York",
+        "auto",
+        receivedAt
+      );
+      const winter = processor.parseLogTimestamp(
+        "2024-01-04 12:00:00 host-01 app: winter",
+        "America/New_York",
+        "auto",
+        receivedAt
+      );
+      this.assert(
+        summer.date.toISOString() === "2024-07-04T16:00:00.000Z" &&
+          summer.offset === "-04:00",
+        `Summer time should be UTC-4, got ${summer.date.toISOString()}`
+      );
+      this.assert(
+        winter.date.toISOString() === "2024-01-04T17:00:00.000Z" &&
+          winter.offset === "-05:00",
+        `Winter time should be UTC-5, got ${winter.date.toISOString()}`
+      );
+      console.log("   ✓ Wall-clock times converted with the DST offset");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Source timezone failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      delete config.devices["test-tz-device"];
+    }
+  }
+
+  async testLogFormats() {
+    console.log("\n🧾 Testing log line formats...");
+
+    try {
+      const LogProcessor = require("./src/utils/logProcessor");
+      const processor = new LogProcessor();
+      const lines = {
+        rfc5424:
+          "<34>1 2024-01-04T10:00:00.250+02:00 host-01 app 812 - - started",
+        rfc3339: "2024-01-04T08:00:00Z host-01 app[812]: started",
+        journald: JSON.stringify({
+          __REALTIME_TIMESTAMP: "1704355200000000",
+          MESSAGE: "started",
+        }),
+        rfc3164: "<34>Jan 04 15:00:00 host-01 app[812]: started",
+      };
+      const receivedAt = Date.parse("2024-01-04T09:00:00Z");
+
+      for (const [format, line] of Object.entries(lines)) {
+        const parsed = processor.parseLogTimestamp(
+          line,
+          "Asia/Bangkok",
+          "auto",
+          receivedAt
+        );
+        this.assert(
+          parsed && parsed.format === format,
+          `Line should be detected as ${format}, got ${parsed && parsed.format}`
+        );
+        this.assert(
+          parsed.date.toISOString().startsWith("2024-01-04T08:00:00"),
+          `${format} time should be read as 08:00 UTC, got ${parsed.date.toISOString()}`
+        );
+      }
+      console.log("   ✓ RFC 5424, RFC 3339, journald and RFC 3164 detected");
+
+      this.assert(
+        processor.parseLogTimestamp(lines.rfc3164, "UTC", "rfc5424") === null,
+        "A line should not be read in a format it is not in"
+      );
+      this.assert(
+        processor.parseLogTimestamp("no timestamp here") === null,
+        "Lines without a timestamp should not parse"
+      );
+      console.log("   ✓ Explicit format does not fall back to other parsers");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Log line formats failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testYearInference() {
+    console.log("\n📅 Testing year inference for year-less timestamps...");
+
+    try {
+      const LogProcessor = require("./src/utils/logProcessor");
+      const processor = new LogProcessor();
+      const parse = (line, receivedAt) =>
+        processor.parseLogTimestamp(line, "UTC", "rfc3164", receivedAt);
+
+      // Sent before midnight on New Year's Eve, received after it
+      const lastYear = parse(
+        "Dec 31 23:59:50 host-01 app: late",
+        Date.parse("2024-01-01T00:00:10Z")
+      );
+      this.assert(
+        lastYear.date.toISOString() === "2023-12-31T23:59:50.000Z" &&
+          lastYear.yearInferred,
+        `Line should land in the previous year, got ${lastYear.date.toISOString()}`
+      );
+
+      // A clock slightly ahead of the receiver stays in the next year
+      const nextYear = parse(
+        "Jan 01 00:00:05 host-01 app: early",
+        Date.parse("2023-12-31T23:59:55Z")
+      );
+      this.assert(
+        nextYear.date.toISOString() === "2024-01-01T00:00:05.000Z" &&
+          nextYear.yearInferred,
+        `Line should land in the next year, got ${nextYear.date.toISOString()}`
+      );
+      console.log("   ✓ New Year rollover resolved both ways");
+
+      const sameYear = parse(
+        "Mar 10 08:00:00 host-01 app: backlog",
+        Date.parse("2024-06-01T00:00:00Z")
+      );
+      this.assert(
+        sameYear.date.getUTCFullYear() === 2024 && !sameYear.yearInferred,
+        "Backlog within the year should keep the receive year"
+      );
+      console.log("   ✓ Offline backlog kept in the receive year");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Year inference failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testCompressedUploads() {
+    console.log("\n🗜️  Testing compressed and multipart uploads...");
+
+    const zlib = require("zlib");
+    const uploadPath = "/supervisor/v1/test-body-device/upload-logs";
+    const line = (message) => `2024-01-07T10:00:00Z host-01 app: ${message}`;
+
+    try {
+      await this.makeRequest("POST", uploadPath, {
+        body: zlib.gzipSync(`${line("gzip-1")}\n${line("gzip-2")}\n`),
+        headers: {
+          Authorization: TEST_CONFIG.apiKey,
+          "Content-Type": "text/plain",
+          "Content-Encoding": "gzip",
+        },
+      });
+      await this.makeRequest("POST", uploadPath, {
+        body: zlib.deflateSync(line("deflate-1")),
+        headers: {
+          Authorization: TEST_CONFIG.apiKey,
+          "Content-Type": "text/plain",
+          "Content-Encoding": "deflate",
+        },
+      });
+
+      const boundary = "test-boundary";
+      const part = (name, content) =>
+        `--${boundary}\r\nContent-Disposition: form-data; name="files"; ` +
+        `filename="${name}"\r\nContent-Type: text/plain\r\n\r\n${content}\r\n`;
+      await this.makeRequest("POST", uploadPath, {
+        body:
+          part("a.log", line("part-1")) +
+          part("b.log", line("part-2")) +
+          `--${boundary}--\r\n`,
+        headers: {
+          Authorization: TEST_CONFIG.apiKey,
+          "Content-Type": `multipart/form-data; boundary=${boundary}`,
+        },
+      });
+
+      await this.delay(100);
+      const data = await fs.readFile(
+        path.join(TEST_CONFIG.logBasePath, "incoming", "2024-01-07-10.log"),
+        "utf8"
+      );
+      const messages = data
+        .split("\n")
+        .filter(Boolean)
+        .map((entry) => JSON.parse(entry))
+        .filter((entry) => entry.device_id === "test-body-device")
+        .map((entry) => entry.message.split(": ").pop());
+      this.assert(
+        messages.join() === "gzip-1,gzip-2,deflate-1,part-1,part-2",
+        `Every line should be stored once, got ${messages.join()}`
+      );
+      console.log(
+        "   ✓ gzip, deflate and multipart bodies stored line by line"
+      );
+
+      try {
+        await this.makeRequest("POST", uploadPath, {
+          body: "not gzip",
+          headers: {
+            Authorization: TEST_CONFIG.apiKey,
+            "Content-Type": "text/plain",
+            "Content-Encoding": "gzip",
+          },
+        });
+        throw new Error("Corrupt gzip body should be rejected");
+      } catch (error) {
+        this.assert(
+          error.statusCode === 400,
+          `Corrupt gzip body should get 400, got ${error.message}`
+        );
+      }
+      console.log("   ✓ Corrupt compressed body rejected");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Compressed uploads failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testPartitioning() {
+    console.log("\n🗂️  Testing device partitioning...");
+
+    const config = require("./src/config");
+    const { mode } = config.partitioning;
+
+    try {
+      const {
+        resolvePartition,
+        parseBufferFilename,
+      } = require("./src/utils/partitioning");
+      const LogProcessor = require("./src/utils/logProcessor");
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const deviceId = "test/part device";
+      config.partitioning.mode = "device";
+
+      await new LogProcessor().processLogLines(deviceId, [
+        "2024-01-08T10:00:00Z host-01 app: partitioned",
+      ]);
+      const filename = "2024-01-08-10.device_id=test%2Fpart%20device.log";
+      await fs.access(path.join(TEST_CONFIG.logBasePath, "incoming", filename));
+      this.assert(
+        parseBufferFilename(filename).partition.value === deviceId,
+        "Device id should be read back from the filename"
+      );
+      console.log("   ✓ Lines buffered in a per-device file");
+
+      const key = new BatchProcessor().generateArchiveKey(
+        filename,
+        "ab".repeat(32)
+      );
+      this.assert(
+        key.includes("/device_id=test%2Fpart%20device/year=2024/month=01/"),
+        `Archive key should be partitioned by device, got ${key}`
+      );
+      console.log("   ✓ Archive key partitioned by device");
+
+      config.partitioning.mode = "group";
+      this.assert(
+        resolvePartition(deviceId).value === "ungrouped",
+        "Devices without a group should fall in the default group"
+      );
+      console.log("   ✓ Ungrouped devices share the default group");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Device partitioning failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      config.partitioning.mode = mode;
+    }
+  }
+
   async testBatchProcessing() {
     console.log("\n🔄 Testing batch processing logic...");
 
@@ -217,7 +648,8 @@ class SystemTester {
       const testData =
         JSON.stringify({
           device_id: "test-device",
-          log_timestamp: "2024-01-01T12:30:00.001Z",
+          log_timestamp: "2024-01-01T12:30:00.000Z",
+          seq: 1,
           message: "Test log message",
         }) + "\n";
 
@@ -228,8 +660,8 @@ class SystemTester {
       const BatchProcessor = require("./src/services/batchProcessor");
       const processor = new BatchProcessor();
 
-      // Mock S3 upload to avoid AWS dependency
-      processor.uploadToS3 = async () => {
+      // Mock archive upload to avoid AWS dependency
+      processor.archiveFile = async () => {
         console.log("   ✓ Mock S3 upload successful");
       };
 
@@ -245,6 +677,1304 @@ class SystemTester {
     }
   }
 
+  async testSweepClosedHours() {
+    console.log("\n🧹 Testing sweep of closed hours only...");
+
+    try {
+      const incomingDir = path.join(TEST_CONFIG.logBasePath, "incoming");
+      await fs.writeFile(path.join(incomingDir, "2024-01-09-10.log"), "{}\n");
+      await fs.writeFile(path.join(incomingDir, "2024-01-09-11.log"), "{}\n");
+
+      const config = require("./src/config");
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const processor = new BatchProcessor();
+      const hourEnd = Date.parse("2024-01-09T11:00:00Z");
+      const graceMillis = config.processing.sweepGraceMinutes * 60 * 1000;
+
+      let swept = await processor.sweepCompletedFiles(
+        hourEnd + graceMillis - 1000
+      );
+      this.assert(
+        swept.length === 0,
+        "Hour should stay in incoming during the grace window"
+      );
+      swept = await processor.sweepCompletedFiles(hourEnd + graceMillis);
+      this.assert(
+        swept.join() === "2024-01-09-10.log",
+        `Only the closed hour should be swept, got ${swept.join()}`
+      );
+      await fs.access(path.join(incomingDir, "2024-01-09-11.log"));
+      console.log("   ✓ Current hour and grace window left for ingestion");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Closed hour sweep failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testDeterministicArchiveKeys() {
+    console.log("\n🔁 Testing content-derived archive keys...");
+
+    try {
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const processor = new BatchProcessor();
+      // Sink holding archives in memory, key: archive key, value: SHA-256
+      const objects = new Map();
+      processor.sinks = [
+        {
+          name: "memory",
+          async exists(key, { checksum }) {
+            return objects.get(key) === checksum.hex;
+          },
+          async upload(filePath, { key, checksum }) {
+            objects.set(key, checksum.hex);
+          },
+        },
+      ];
+
+      const filename = "2024-01-12-10.log";
+      const archive = async (content) => {
+        await fs.writeFile(
+          path.join(TEST_CONFIG.logBasePath, "processing", filename),
+          content
+        );
+        const fileResult = {};
+        await processor.processFile(filename, undefined, fileResult);
+        return fileResult;
+      };
+
+      const first = await archive('{"seq":1}\n');
+      const again = await archive('{"seq":1}\n');
+      this.assert(
+        first.sinks.memory === "uploaded" &&
+          again.sinks.memory === "skipped" &&
+          again.archive_key === first.archive_key,
+        "Same content should map to the same key and not be uploaded again"
+      );
+      console.log("   ✓ Re-archiving the same content skipped");
+
+      const late = await archive('{"seq":2}\n');
+      this.assert(
+        late.sinks.memory === "uploaded" &&
+          late.archive_key !== first.archive_key &&
+          objects.size === 2,
+        "Late lines for the hour should get their own key"
+      );
+      console.log("   ✓ New content for the hour stored under a new key");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Archive keys failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testMultipartResume() {
+    console.log("\n🧩 Testing resumable multipart uploads...");
+
+    const config = require("./src/config");
+    const multipart = { ...config.processing.multipart };
+
+    try {
+      Object.assign(config.processing.multipart, {
+        partSizeBytes: 5 * 1024 * 1024,
+        concurrency: 1,
+        partRetries: 0,
+      });
+      const MultipartUploader = require("./src/services/sinks/multipartUploader");
+
+      // In-memory S3 holding one upload; part 2 fails on the first attempt
+      const sent = [];
+      const stored = new Map();
+      let failPart = 2;
+      const s3Client = {
+        async send(command) {
+          const name = command.constructor.name;
+          const input = command.input;
+          sent.push(name === "UploadPartCommand" ? input.PartNumber : name);
+          switch (name) {
+            case "CreateMultipartUploadCommand":
+              return { UploadId: "test-upload" };
+            case "UploadPartCommand":
+              input.Body.destroy();
+              if (input.PartNumber === failPart) {
+                failPart = null;
+                throw new Error("connection reset");
+              }
+              stored.set(input.PartNumber, `etag-${input.PartNumber}`);
+              return { ETag: stored.get(input.PartNumber) };
+            case "ListPartsCommand":
+              return {
+                Parts: Array.from(stored, ([PartNumber, ETag]) => ({
+                  PartNumber,
+                  ETag,
+                })),
+              };
+            default:
+              return {};
+          }
+        },
+      };
+
+      const filePath = path.join(TEST_CONFIG.logBasePath, "multipart.gz");
+      await fs.writeFile(filePath, Buffer.alloc(11 * 1024 * 1024));
+      const statePath = path.join(
+        TEST_CONFIG.logBasePath,
+        "status",
+        "test_multipart.json"
+      );
+      const uploader = new MultipartUploader(s3Client, {
+        bucket: "test-bucket",
+        statePath,
+      });
+      const args = [
+        filePath,
+        "2024-01-11-10.log",
+        "test/key.gz",
+        { hex: "ab" },
+      ];
+
+      let failure = null;
+      try {
+        await uploader.upload(...args);
+      } catch (error) {
+        failure = error.message;
+      }
+      this.assert(
+        failure === "connection reset",
+        `Upload with a failed part should fail, got ${failure}`
+      );
+
+      // A new uploader (as after a restart) resumes from the recorded state
+      sent.length = 0;
+      const resumed = new MultipartUploader(s3Client, {
+        bucket: "test-bucket",
+        statePath,
+      });
+      await resumed.load();
+      await resumed.upload(...args);
+      this.assert(
+        sent.join() === "ListPartsCommand,2,3,CompleteMultipartUploadCommand",
+        `Only the missing parts should be uploaded, got ${sent.join()}`
+      );
+      this.assert(
+        resumed.uploads.size === 0,
+        "Completed upload should no longer be recorded"
+      );
+      console.log("   ✓ Upload resumed after a failed part");
+
+      await fs.rm(filePath);
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Multipart resume failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      Object.assign(config.processing.multipart, multipart);
+    }
+  }
+
+  async testArchiveSinks() {
+    console.log("\n🪣 Testing archive sinks...");
+
+    try {
+      const { createSinks } = require("./src/services/sinks");
+      const archiveDir = path.join(TEST_CONFIG.logBasePath, "archive");
+      const sinks = createSinks([
+        { name: "primary", type: "local", path: path.join(archiveDir, "a") },
+        { name: "mirror", type: "local", path: path.join(archiveDir, "b") },
+      ]);
+      for (const sink of sinks) {
+        await sink.initialize();
+      }
+
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const processor = new BatchProcessor();
+      processor.sinks = sinks;
+      const filename = "2024-01-13-10.log";
+      await fs.writeFile(
+        path.join(TEST_CONFIG.logBasePath, "processing", filename),
+        '{"seq":1}\n'
+      );
+      const fileResult = {};
+      await processor.processFile(filename, undefined, fileResult);
+
+      for (const dir of ["a", "b"]) {
+        await fs.access(path.join(archiveDir, dir, fileResult.archive_key));
+      }
+      console.log("   ✓ Archive mirrored to every sink");
+
+      const refuses = (fn) => {
+        try {
+          fn();
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      this.assert(
+        refuses(() => sinks[0].resolveKey("../b/escape.gz")),
+        "Keys outside the sink directory should be refused"
+      );
+      this.assert(
+        refuses(() => createSinks([{ type: "ftp" }])),
+        "Unknown sink types should be refused"
+      );
+      this.assert(
+        refuses(() =>
+          createSinks([
+            { name: "dup", type: "local", path: archiveDir },
+            { name: "dup", type: "local", path: archiveDir },
+          ])
+        ),
+        "Duplicate sink names should be refused"
+      );
+      console.log("   ✓ Invalid sink settings and keys refused");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Archive sinks failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testQuarantineCopies() {
+    console.log("\n🧯 Testing quarantine of repeated failures...");
+
+    try {
+      const filename = "2024-01-04-10.log";
+      const failedDir = path.join(TEST_CONFIG.logBasePath, "failed");
+      const firstFailure = '{"seq":1,"message":"first"}\n';
+      const secondFailure = '{"seq":2,"message":"late"}\n';
+      await fs.writeFile(path.join(failedDir, filename), firstFailure);
+      await fs.writeFile(
+        path.join(TEST_CONFIG.logBasePath, "processing", filename),
+        secondFailure
+      );
+
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const processor = new BatchProcessor();
+      await processor.handleFailedFile(filename, new Error("sink down"));
+
+      // The first quarantined file (possibly already in a sink) is untouched
+      this.assert(
+        (await fs.readFile(path.join(failedDir, filename), "utf8")) ===
+          firstFailure,
+        "Quarantined file should not be merged into"
+      );
+      this.assert(
+        (await fs.readFile(
+          path.join(failedDir, "2024-01-04-10+1.log"),
+          "utf8"
+        )) === secondFailure,
+        "Later failure should be quarantined as a numbered copy"
+      );
+      this.assert(
+        await processor.isFailedFile("2024-01-04-10+1.log"),
+        "Numbered copy should be retryable"
+      );
+      console.log("   ✓ Later failure kept as its own copy");
+
+      this.assert(
+        processor.generateArchiveKey("2024-01-04-10+1.log", "ab".repeat(32)) ===
+          processor.generateArchiveKey(filename, "ab".repeat(32)),
+        "Copy should be archived under its buffer file's key"
+      );
+      console.log("   ✓ Copy keyed like its buffer file");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Quarantine copies failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testAutoRetryAllowance() {
+    console.log("\n🔂 Testing automatic retry allowance...");
+
+    const config = require("./src/config");
+    const { autoRetryFailed, maxAutoRetries } = config.processing;
+
+    try {
+      config.processing.autoRetryFailed = true;
+      config.processing.maxAutoRetries = 2;
+
+      const filename = "2024-01-06-10.log";
+      const failedDir = path.join(TEST_CONFIG.logBasePath, "failed");
+      await fs.writeFile(path.join(failedDir, filename), "{}\n");
+
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const processor = new BatchProcessor();
+      const readMeta = async () =>
+        JSON.parse(
+          await fs.readFile(path.join(failedDir, `${filename}.meta`), "utf8")
+        );
+      const error = new Error("sink down");
+
+      await processor.recordFailedAttempt(filename, error, "batch");
+      for (let i = 0; i < 3; i++) {
+        await processor.recordFailedAttempt(filename, error, "api");
+      }
+      this.assert(
+        (await readMeta()).next_retry_at,
+        "Manual retries should not use up automatic retries"
+      );
+      console.log("   ✓ Manual retries leave automatic retries scheduled");
+
+      await processor.recordFailedAttempt(filename, error, "auto");
+      this.assert(
+        (await readMeta()).next_retry_at,
+        "Automatic retry within the allowance should be rescheduled"
+      );
+      await processor.recordFailedAttempt(filename, error, "auto");
+      this.assert(
+        (await readMeta()).next_retry_at === null,
+        "Automatic retries should stop at the allowance"
+      );
+      console.log("   ✓ Automatic retries stop at MAX_AUTO_RETRIES");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Automatic retry allowance failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      config.processing.autoRetryFailed = autoRetryFailed;
+      config.processing.maxAutoRetries = maxAutoRetries;
+    }
+  }
+
+  async testFailureRetryAndPurge() {
+    console.log("\n♻️  Testing retry and purge of quarantined files...");
+
+    try {
+      const failedDir = path.join(TEST_CONFIG.logBasePath, "failed");
+      await fs.writeFile(path.join(failedDir, "2024-01-10-10.log"), "{}\n");
+      await fs.writeFile(path.join(failedDir, "2024-01-10-11.log"), "{}\n");
+
+      const BatchProcessor = require("./src/services/batchProcessor");
+      const processor = new BatchProcessor();
+      processor.archiveFile = async (filePath, filename) => {
+        if (filename === "2024-01-10-11.log") {
+          throw new Error("sink down");
+        }
+      };
+
+      const results = await processor.retryFailures([
+        "2024-01-10-10.log",
+        "2024-01-10-11.log",
+      ]);
+      this.assert(
+        results.map((result) => result.status).join() === "uploaded,failed",
+        "Retry should report each file's outcome"
+      );
+      this.assert(
+        !(await processor.isFailedFile("2024-01-10-10.log")),
+        "Uploaded file should leave failed/"
+      );
+      const meta = JSON.parse(
+        await fs.readFile(
+          path.join(failedDir, "2024-01-10-11.log.meta"),
+          "utf8"
+        )
+      );
+      this.assert(
+        meta.attempts.length === 1 && meta.attempts[0].trigger === "api",
+        "Failed retry should be recorded as a manual attempt"
+      );
+      console.log("   ✓ Retried files uploaded or kept with the attempt");
+
+      await processor.purgeFailedFile("2024-01-10-11.log");
+      const FilesystemManager = require("./src/utils/filesystem");
+      this.assert(
+        !(await FilesystemManager.fileExists(
+          path.join(failedDir, "2024-01-10-11.log")
+        )) &&
+          !(await FilesystemManager.fileExists(
+            path.join(failedDir, "2024-01-10-11.log.meta")
+          )),
+        "Purge should remove the file and its metadata"
+      );
+      console.log("   ✓ Purge removes the file and its metadata");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Failure retry and purge failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testRunHistory() {
+    console.log("\n📜 Testing batch run history...");
+
+    const config = require("./src/config");
+    const { runHistoryLimit } = config.processing;
+
+    try {
+      const RunHistory = require("./src/services/runHistory");
+      const history = new RunHistory();
+      await history.load();
+      config.processing.runHistoryLimit = 2;
+
+      const run = history.start("batch", "api");
+      history.addFile(run, "2024-01-14-10.log", "swept").status = "uploaded";
+      history.addFile(run, "2024-01-14-11.log", "swept").status = "failed";
+      await history.finish(run, "failed", { files_processed: 1 });
+      this.assert(
+        history.list(1)[0].files_total === 2 &&
+          history.list(1)[0].files_failed === 1 &&
+          history.get(run.id).files.length === 2,
+        "Run should record its per-file outcomes"
+      );
+      console.log("   ✓ Per-file outcomes recorded");
+
+      const cutShort = history.start("retry", "api");
+      history.start("batch", "cron");
+      await history.save();
+      this.assert(
+        history.get(run.id) === null,
+        "History should be trimmed to RUN_HISTORY_LIMIT"
+      );
+      const reloaded = new RunHistory();
+      await reloaded.load();
+      this.assert(
+        reloaded.get(cutShort.id).status === "interrupted",
+        "Runs cut short by a restart should be marked interrupted"
+      );
+      console.log("   ✓ History trimmed and interrupted runs marked");
+
+      const readAuth = { headers: { Authorization: TEST_CONFIG.readApiKey } };
+      const runs = await this.makeRequest("GET", "/api/runs", readAuth);
+      this.assert(Array.isArray(runs), "Runs endpoint should return an array");
+      try {
+        await this.makeRequest("GET", "/api/runs/unknown", readAuth);
+        throw new Error("Unknown run should not be found");
+      } catch (error) {
+        this.assert(error.statusCode === 404, error.message);
+      }
+      console.log("   ✓ Runs endpoints working");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Run history failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      config.processing.runHistoryLimit = runHistoryLimit;
+    }
+  }
+
+  async testMetricsEndpoint() {
+    console.log("\n📈 Testing Prometheus metrics endpoint...");
+
+    try {
+      const text = await this.makeRequest("GET", "/metrics", {
+        headers: { Authorization: TEST_CONFIG.readApiKey },
+        raw: true,
+      });
+      const sample = (series) => {
+        const line = text
+          .split("\n")
+          .find((candidate) => candidate.startsWith(`${series} `));
+        return line ? Number(line.slice(series.length + 1)) : null;
+      };
+
+      this.assert(
+        sample(
+          `hrl_ingest_requests_total{device_id="${TEST_CONFIG.testDeviceId}"}`
+        ) >= 1,
+        "Uploads should be counted per device"
+      );
+      this.assert(
+        sample('hrl_buffer_files{directory="incoming"}') !== null,
+        "Buffer directory gauges should be refreshed on scrape"
+      );
+      this.assert(
+        text.includes("# TYPE hrl_upload_duration_seconds histogram") &&
+          sample('hrl_upload_duration_seconds_bucket{le="+Inf"}') ===
+            sample("hrl_upload_duration_seconds_count"),
+        "Upload durations should be exposed as a histogram"
+      );
+      console.log("   ✓ Counters, gauges and histograms exposed");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Metrics endpoint failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testDeviceStats() {
+    console.log("\n📟 Testing per-device ingestion stats...");
+
+    const readAuth = { headers: { Authorization: TEST_CONFIG.readApiKey } };
+
+    try {
+      await this.makeRequest(
+        "POST",
+        "/supervisor/v1/test-stats-device/upload-logs",
+        {
+          body: "2024-01-15T10:00:00Z host-01 app: ok\nno timestamp here\n",
+          headers: {
+            Authorization: TEST_CONFIG.apiKey,
+            "Content-Type": "text/plain",
+          },
+        }
+      );
+
+      const device = await this.makeRequest(
+        "GET",
+        "/api/devices/test-stats-device",
+        readAuth
+      );
+      this.assert(
+        device.requests === 1 &&
+          device.lines === 2 &&
+          device.unparseable_lines === 1 &&
+          device.silent_seconds >= 0,
+        `Upload should be counted for the device, got ${JSON.stringify(device)}`
+      );
+      console.log("   ✓ Requests, lines and unparseable lines counted");
+
+      const silent = await this.makeRequest(
+        "GET",
+        "/api/devices?silent_minutes=60",
+        readAuth
+      );
+      this.assert(
+        !silent.some((entry) => entry.device_id === "test-stats-device"),
+        "Recently seen device should not be listed as silent"
+      );
+      try {
+        await this.makeRequest("GET", "/api/devices/test-unknown", readAuth);
+        throw new Error("Unknown device should not be found");
+      } catch (error) {
+        this.assert(error.statusCode === 404, error.message);
+      }
+      console.log("   ✓ Silent device filter and unknown devices");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Device stats failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testSearchPaging() {
+    console.log("\n🔎 Testing log search paging...");
+
+    try {
+      // Five entries of one device, three of them matching
+      const testFile = path.join(
+        TEST_CONFIG.logBasePath,
+        "incoming",
+        "2024-01-02-08.log"
+      );
+      const testData = [1, 2, 3, 4, 5]
+        .map(
+          (seq) =>
+            JSON.stringify({
+              device_id: "test-search-device",
+              log_timestamp: `2024-01-02T08:0${seq}:00.000Z`,
+              seq,
+              message: seq % 2 ? `needle ${seq}` : `other ${seq}`,
+            }) + "\n"
+        )
+        .join("");
+      await fs.writeFile(testFile, testData);
+
+      const LogSearch = require("./src/services/logSearch");
+      const search = new LogSearch({
+        deviceId: "test-search-device",
+        substring: "needle",
+      });
+
+      const firstPage = await search.run({ limit: 2 });
+      this.assert(
+        firstPage.entries.map((entry) => entry.seq).join() === "1,3",
+        "First page should hold the first two matches"
+      );
+      this.assert(firstPage.nextCursor, "First page should return a cursor");
+      console.log("   ✓ First page stops at the limit with a cursor");
+
+      const cursor = LogSearch.decodeCursor(firstPage.nextCursor);
+      this.assert(cursor, "Returned cursor should decode");
+      const secondPage = await search.run({ limit: 2, cursor });
+      this.assert(
+        secondPage.entries.map((entry) => entry.seq).join() === "5",
+        "Second page should continue after the first"
+      );
+      this.assert(
+        secondPage.nextCursor === null,
+        "Last page should not return a cursor"
+      );
+      console.log("   ✓ Cursor continues without repeating entries");
+
+      this.assert(
+        LogSearch.decodeCursor("not-a-cursor") === null,
+        "Malformed cursor should be rejected"
+      );
+      console.log("   ✓ Malformed cursor rejected");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Search paging failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testSearchPagingAcrossSweep() {
+    console.log("\n🧹 Testing log search paging across a sweep...");
+
+    try {
+      const filename = "2024-01-02-09.log";
+      const incomingFile = path.join(
+        TEST_CONFIG.logBasePath,
+        "incoming",
+        filename
+      );
+      const testData = [1, 2, 3, 4]
+        .map(
+          (seq) =>
+            JSON.stringify({
+              device_id: "test-sweep-device",
+              log_timestamp: `2024-01-02T09:0${seq}:00.000Z`,
+              seq,
+              message: `swept ${seq}`,
+            }) + "\n"
+        )
+        .join("");
+      await fs.writeFile(incomingFile, testData);
+
+      const LogSearch = require("./src/services/logSearch");
+      const search = new LogSearch({ deviceId: "test-sweep-device" });
+      const firstPage = await search.run({ limit: 2 });
+      this.assert(
+        firstPage.entries.map((entry) => entry.seq).join() === "1,2",
+        "First page should hold the first two entries"
+      );
+
+      // The batch sweep moves the file between the two pages
+      await fs.rename(
+        incomingFile,
+        path.join(TEST_CONFIG.logBasePath, "processing", filename)
+      );
+
+      const secondPage = await search.run({
+        limit: 2,
+        cursor: LogSearch.decodeCursor(firstPage.nextCursor),
+      });
+      this.assert(
+        secondPage.entries.map((entry) => entry.seq).join() === "3,4",
+        "Second page should continue in the swept file"
+      );
+      console.log("   ✓ Cursor follows its file into processing/");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error(
+        "   ❌ Search paging across a sweep failed:",
+        error.message
+      );
+      this.testsFailed++;
+    }
+  }
+
+  async testSearchRegex() {
+    console.log("\n🧮 Testing log search regex limits...");
+
+    const readAuth = { headers: { Authorization: TEST_CONFIG.readApiKey } };
+
+    try {
+      // Takes seconds for a backtracking engine on (a+)+$
+      await this.makeRequest(
+        "POST",
+        `/supervisor/v1/${TEST_CONFIG.testDeviceId}/upload-logs`,
+        {
+          body: `Sep 04 12:50:00 hope-vmm ${"a".repeat(26)}b`,
+          headers: {
+            Authorization: TEST_CONFIG.apiKey,
+            "Content-Type": "text/plain",
+          },
+        }
+      );
+
+      const started = Date.now();
+      await this.makeRequest(
+        "GET",
+        `/api/logs?device_id=${
+          TEST_CONFIG.testDeviceId
+        }&regex=${encodeURIComponent("(a+)+$")}`,
+        readAuth
+      );
+      this.assert(
+        Date.now() - started < 1000,
+        "Nested quantifiers should not stall the search"
+      );
+      console.log("   ✓ Nested quantifiers matched in linear time");
+
+      try {
+        await this.makeRequest(
+          "GET",
+          `/api/logs?regex=${encodeURIComponent("(a)\\1")}`,
+          readAuth
+        );
+        this.assert(false, "Backreference should be rejected");
+      } catch (error) {
+        this.assert(
+          error.statusCode === 400,
+          `Backreference should be rejected with 400: ${error.message}`
+        );
+      }
+      console.log("   ✓ Backtracking-only pattern rejected");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Search regex limits failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testTailRegex() {
+    console.log("\n📡 Testing live tail regex filter...");
+
+    const upload = (message) =>
+      this.makeRequest(
+        "POST",
+        `/supervisor/v1/${TEST_CONFIG.testDeviceId}/upload-logs`,
+        {
+          body: `Sep 04 12:50:00 hope-vmm ${message}`,
+          headers: {
+            Authorization: TEST_CONFIG.apiKey,
+            "Content-Type": "text/plain",
+          },
+        }
+      );
+
+    let tail = null;
+    try {
+      // Subscribe with a pattern that backtracks catastrophically
+      let events = "";
+      tail = await new Promise((resolve, reject) => {
+        const req = http.get(
+          {
+            hostname: "localhost",
+            port: 3000,
+            path: `/api/tail?device_id=${
+              TEST_CONFIG.testDeviceId
+            }&regex=${encodeURIComponent("(a+)+$")}`,
+            headers: { Authorization: TEST_CONFIG.readApiKey },
+          },
+          (res) => {
+            this.assert(res.statusCode === 200, "Tail should be accepted");
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => (events += chunk));
+            resolve(req);
+          }
+        );
+        req.on("error", reject);
+      });
+
+      const started = Date.now();
+      await upload(`${"a".repeat(26)}b`);
+      await upload("aaaa");
+      this.assert(
+        Date.now() - started < 1000,
+        "Tail filter should not stall uploads"
+      );
+      console.log("   ✓ Uploads not held up by the tail filter");
+
+      await this.delay(200); // Give time for delivery
+      const delivered = events.split("event: log").length - 1;
+      this.assert(delivered === 1, "Only the matching entry should be sent");
+      console.log("   ✓ Only matching entries delivered");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Live tail regex failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      if (tail) {
+        tail.destroy();
+      }
+    }
+  }
+
+  async testIdempotentUpload() {
+    console.log("\n🔁 Testing idempotent uploads...");
+
+    const message = `idempotency check ${Date.now()}`;
+    const upload = () =>
+      this.makeRequest(
+        "POST",
+        `/supervisor/v1/${TEST_CONFIG.testDeviceId}/upload-logs`,
+        {
+          body: `Sep 04 12:50:00 hope-vmm ${message}`,
+          headers: {
+            Authorization: TEST_CONFIG.apiKey,
+            "Content-Type": "text/plain",
+            "Idempotency-Key": "test-idempotency-key",
+          },
+        }
+      );
+
+    try {
+      // A retry with the same key is answered with the original response
+      const first = await upload();
+      const retry = await upload();
+      this.assert(
+        JSON.stringify(retry) === JSON.stringify(first),
+        "Retried upload should replay the original response"
+      );
+
+      await this.delay(100); // Give time for file write
+      const incomingDir = path.join(TEST_CONFIG.logBasePath, "incoming");
+      let written = 0;
+      for (const file of await fs.readdir(incomingDir)) {
+        const data = await fs.readFile(path.join(incomingDir, file), "utf8");
+        written += data.split(message).length - 1;
+      }
+      this.assert(written === 1, "Retried upload should not be written again");
+      console.log("   ✓ Retry replayed without writing again");
+
+      // A key already in progress is refused; accepted keys survive a reload
+      const IdempotencyStore = require("./src/services/idempotencyStore");
+      const store = new IdempotencyStore();
+      await store.load();
+      this.assert(
+        store.begin("test-device", "key-1"),
+        "First upload with a key should be processed"
+      );
+      this.assert(
+        !store.begin("test-device", "key-1"),
+        "Concurrent upload with the same key should conflict"
+      );
+      console.log("   ✓ Concurrent upload with the same key refused");
+
+      await store.complete("test-device", "key-1", "header", { lines: 1 });
+      const reloaded = new IdempotencyStore();
+      await reloaded.load();
+      const accepted = reloaded.lookup("test-device", "key-1");
+      this.assert(
+        accepted && accepted.response.lines === 1,
+        "Accepted key should be replayed after a reload"
+      );
+      console.log("   ✓ Accepted key kept across reloads");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Idempotent uploads failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testUploadLimits() {
+    console.log("\n📏 Testing streamed upload limits...");
+
+    const config = require("./src/config");
+    const { maxLines, maxLineLength } = config.upload;
+    const { PassThrough } = require("stream");
+    const { streamUploadLines } = require("./src/utils/requestBody");
+    const readLines = async (body) => {
+      const req = new PassThrough();
+      req.headers = { "content-type": "text/plain" };
+      req.is = () => false;
+      req.end(body);
+      const lines = [];
+      for await (const line of streamUploadLines(req)) {
+        lines.push(line);
+      }
+      return lines;
+    };
+
+    try {
+      config.upload.maxLines = 3;
+      config.upload.maxLineLength = 10;
+
+      const lines = await readLines("short\n\n0123456789abcdef\nlast");
+      this.assert(
+        lines.join() === "short,0123456789,last",
+        `Long lines should be truncated and blank ones skipped, got ${lines.join()}`
+      );
+      console.log("   ✓ Over-long lines truncated");
+
+      let statusCode = null;
+      try {
+        await readLines("1\n2\n3\n4\n");
+      } catch (error) {
+        statusCode = error.statusCode;
+      }
+      this.assert(
+        statusCode === 413,
+        `Too many lines should fail with 413, got ${statusCode}`
+      );
+      console.log("   ✓ Line limit enforced while streaming");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Upload limits failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      config.upload.maxLines = maxLines;
+      config.upload.maxLineLength = maxLineLength;
+    }
+  }
+
+  async testPartialWriteResume() {
+    console.log("\n⏯️  Testing resume after a partly written upload...");
+
+    try {
+      const incomingDir = path.join(TEST_CONFIG.logBasePath, "incoming");
+      // Appends to the 11:00 file fail while a directory holds its name
+      const blockedFile = path.join(incomingDir, "2024-01-05-11.log");
+      await fs.mkdir(blockedFile);
+
+      const lines = [
+        "2024-01-05T10:00:01Z hope-vmm app: a1",
+        "2024-01-05T10:00:02Z hope-vmm app: a2",
+        "2024-01-05T11:00:01Z hope-vmm app: b1",
+        "2024-01-05T10:00:03Z hope-vmm app: a3",
+      ];
+      const LogProcessor = require("./src/utils/logProcessor");
+      const processor = new LogProcessor();
+
+      let linesWritten = null;
+      try {
+        await processor.processLogLines("test-resume-device", lines);
+      } catch (error) {
+        linesWritten = error.linesWritten;
+      }
+      this.assert(
+        linesWritten === 2,
+        `Failed upload should report the 2 lines before the failed append, got ${linesWritten}`
+      );
+      console.log("   ✓ Lines written before the failure reported");
+
+      // A retry skips the lines already written
+      await fs.rmdir(blockedFile);
+      await processor.processLogLines("test-resume-device", lines, {
+        skipLines: linesWritten,
+      });
+
+      const messages = [];
+      for (const filename of ["2024-01-05-10.log", "2024-01-05-11.log"]) {
+        const data = await fs.readFile(
+          path.join(incomingDir, filename),
+          "utf8"
+        );
+        for (const line of data.split("\n").filter(Boolean)) {
+          messages.push(JSON.parse(line).message.slice(-2));
+        }
+      }
+      this.assert(
+        messages.join() === "a1,a2,a3,b1",
+        `Every line should be written once, got ${messages.join()}`
+      );
+      console.log("   ✓ Retry writes each remaining line once");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Partial write resume failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testSequenceNumbers() {
+    console.log("\n🔢 Testing device sequence numbers...");
+
+    try {
+      const DeviceSequencer = require("./src/services/deviceSequencer");
+      const sequencer = new DeviceSequencer();
+      await sequencer.load();
+
+      // Past the first reserved block of 10000 numbers
+      let last = 0;
+      for (let i = 0; i < 10005; i++) {
+        const seq = sequencer.next("test-seq-device");
+        this.assert(seq > last, `seq ${seq} should follow ${last}`);
+        last = seq;
+      }
+      this.assert(last === 10005, "seq should not skip within a run");
+      await sequencer.persisted();
+      console.log("   ✓ seq increases across a block boundary");
+
+      const reloaded = new DeviceSequencer();
+      await reloaded.load();
+      this.assert(
+        reloaded.next("test-seq-device") > last,
+        "seq should keep increasing after a reload"
+      );
+      console.log("   ✓ seq keeps increasing after a reload");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Sequence numbers failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testRateLimitCharging() {
+    console.log("\n🚦 Testing rate limit charging...");
+
+    try {
+      const config = require("./src/config");
+      const { RateLimiter } = require("./src/utils/rateLimiter");
+      config.devices["test-rate-device"] = {
+        rateLimit: { linesPerMinute: 5 },
+      };
+      const limiter = new RateLimiter();
+      const now = Date.now();
+
+      this.assert(
+        limiter.admit("test-rate-device", now) === null,
+        "First upload should be admitted"
+      );
+
+      // Lines are charged as they are read, stopping at the allowance
+      const results = [1, 2, 3, 4, 5].map(() =>
+        limiter.charge("test-rate-device", { lines: 1, bytes: 10 }, now)
+      );
+      this.assert(
+        results.slice(0, 4).every((result) => result === null),
+        "Lines within the allowance should pass"
+      );
+      this.assert(
+        results[4] && results[4].reason === "lines",
+        "Line using up the allowance should stop the upload"
+      );
+      console.log("   ✓ Upload stopped once its line allowance is used");
+
+      const blocked = limiter.admit("test-rate-device", now);
+      this.assert(
+        blocked && blocked.reason === "lines" && blocked.retryAfterSeconds > 0,
+        "Next upload should wait for the bucket to refill"
+      );
+      console.log("   ✓ Next upload held off until the bucket refills");
+
+      delete config.devices["test-rate-device"];
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Rate limit charging failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testDiskPressure() {
+    console.log("\n💽 Testing disk pressure levels...");
+
+    const FilesystemManager = require("./src/utils/filesystem");
+    const getDiskUsage = FilesystemManager.getDiskUsage;
+
+    try {
+      const config = require("./src/config");
+      const { DiskMonitor } = require("./src/services/diskMonitor");
+      const monitor = new DiskMonitor();
+      const { hardThresholdPercent, maxReadingAgeSeconds } =
+        config.diskPressure;
+      const measure = (usage, now) => {
+        FilesystemManager.getDiskUsage = async () => usage;
+        return monitor.check(now);
+      };
+      const start = Date.now();
+
+      await measure(hardThresholdPercent - 1, start);
+      this.assert(!monitor.isFull(), "Uploads accepted below the threshold");
+      await measure(hardThresholdPercent, start + 1000);
+      this.assert(monitor.isFull(), "Uploads refused at the hard threshold");
+      await measure(hardThresholdPercent - 1, start + 2000);
+      console.log("   ✓ Uploads refused at the hard threshold only");
+
+      // A failed measurement keeps the last reading for a while
+      await measure(null, start + 3000);
+      this.assert(
+        monitor.level === "soft" && !monitor.isFull(),
+        "Failed measurement should keep the last good reading"
+      );
+      await measure(null, start + 2000 + maxReadingAgeSeconds * 1000 + 1);
+      this.assert(
+        monitor.level === "unknown" && monitor.isFull(),
+        "Uploads should be refused once no recent reading is left"
+      );
+      console.log("   ✓ Failed measurements tolerated for a bounded time");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Disk pressure failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      FilesystemManager.getDiskUsage = getDiskUsage;
+    }
+  }
+
+  async testBufferRetention() {
+    console.log("\n🗑️  Testing buffer retention quotas...");
+
+    const config = require("./src/config");
+    const { evictionMode, failed } = config.retention;
+
+    try {
+      const zlib = require("zlib");
+      const BufferRetention = require("./src/services/bufferRetention");
+      const failedDir = path.join(TEST_CONFIG.logBasePath, "failed");
+      const oldFile = "2030-01-01-10.log";
+      const newFile = "2030-01-01-12.log";
+      await fs.mkdir(config.paths.evicted, { recursive: true });
+      await fs.writeFile(path.join(failedDir, oldFile), '{"seq":1}\n');
+      await fs.writeFile(
+        path.join(failedDir, `${oldFile}.meta`),
+        JSON.stringify({ error_message: "sink down", attempts: [{}, {}] })
+      );
+      await fs.writeFile(path.join(failedDir, newFile), '{"seq":2}\n');
+      const now = Date.parse("2030-01-01T14:00:00Z");
+
+      config.retention.evictionMode = "archive";
+      config.retention.failed = { maxBytes: 0, maxAgeHours: 3 };
+      const retention = new BufferRetention();
+      let evicted = await retention.enforce(now);
+      const aged = evicted.find((record) => record.file_name === oldFile);
+      this.assert(
+        aged &&
+          aged.reason === "max_age" &&
+          aged.attempt_count === 2 &&
+          !evicted.some((record) => record.file_name === newFile),
+        "Only the hour past the age quota should be evicted"
+      );
+      this.assert(
+        zlib.gunzipSync(await fs.readFile(aged.archive_path)).toString() ===
+          '{"seq":1}\n',
+        "Evicted file should be archived to evicted/"
+      );
+      console.log("   ✓ Files past the age quota archived");
+
+      config.retention.evictionMode = "drop";
+      config.retention.failed = { maxBytes: 1, maxAgeHours: 0 };
+      evicted = await retention.enforce(now);
+      const oversized = evicted.find((record) => record.file_name === newFile);
+      this.assert(
+        oversized &&
+          oversized.reason === "max_size" &&
+          oversized.action === "dropped",
+        "Files over the size quota should be dropped"
+      );
+      this.assert(
+        retention.getState().recent_evictions[0].file_name === newFile,
+        "Evictions should be logged newest first"
+      );
+      console.log("   ✓ Files over the size quota dropped and logged");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Buffer retention failed:", error.message);
+      this.testsFailed++;
+    } finally {
+      config.retention.evictionMode = evictionMode;
+      config.retention.failed = failed;
+    }
+  }
+
+  async testFieldExtraction() {
+    console.log("\n🏷️  Testing field extraction...");
+
+    try {
+      // The example of DEPLOYMENT.md
+      const line = "Sep 04 12:50:00 host-01 hope-vmm[812]: vm=vm-17 started";
+      const LogProcessor = require("./src/utils/logProcessor");
+      const processor = new LogProcessor();
+      processor.setExtractionPatterns({ "hope-vmm": ["^vm=(?<vm_id>\\S+)"] });
+
+      const fields = processor.extractFields(
+        line,
+        processor.parseLogTimestamp(line, "UTC", "auto", Date.now())
+      );
+      this.assert(
+        fields.hostname === "host-01" &&
+          fields.program === "hope-vmm" &&
+          fields.pid === 812,
+        `Header fields should be extracted, got ${JSON.stringify(fields)}`
+      );
+      this.assert(
+        fields.fields && fields.fields.vm_id === "vm-17",
+        "Program pattern should add its named groups"
+      );
+      console.log("   ✓ Header fields and program pattern groups extracted");
+
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Field extraction failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testAlertRules() {
+    console.log("\n🚨 Testing alert rules...");
+
+    try {
+      const { AlertEngine } = require("./src/services/alertEngine");
+      const engine = new AlertEngine();
+      await engine.load({
+        rules: [
+          {
+            name: "test-rule",
+            pattern: "disk failure",
+            threshold: 3,
+            windowMinutes: 5,
+            dedupMinutes: 30,
+          },
+        ],
+      });
+
+      const deviceId = "test-alert-device";
+      const recordMatch = (minute) => {
+        const entry = {
+          log_timestamp: `2024-01-03T10:${String(minute).padStart(
+            2,
+            "0"
+          )}:00.000Z`,
+          seq: minute,
+          message: "disk failure on sda",
+        };
+        const matches = engine
+          .match(deviceId, entry)
+          .map((rule) => ({ rule, entry }));
+        this.assert(matches.length === 1, "Line should match the rule");
+        engine.record(deviceId, matches);
+        return engine.getState().alerts[0];
+      };
+
+      recordMatch(0);
+      let alert = recordMatch(1);
+      this.assert(
+        alert.triggered === 0 && alert.pending_matches === 2,
+        "Alert should not trigger below its threshold"
+      );
+      alert = recordMatch(2);
+      this.assert(
+        alert.triggered === 1 && alert.notified === 1,
+        "Alert should trigger and notify at its threshold"
+      );
+      console.log("   ✓ Alert triggers at its threshold");
+
+      // A match outside the window starts counting again
+      recordMatch(10);
+      recordMatch(20);
+      alert = recordMatch(21);
+      this.assert(
+        alert.triggered === 1 && alert.pending_matches === 2,
+        "Matches outside the window should not count"
+      );
+      alert = recordMatch(22);
+      this.assert(
+        alert.triggered === 2 && alert.notified === 1 && alert.suppressed === 1,
+        "Trigger within the dedup window should be suppressed"
+      );
+      console.log("   ✓ Repeated trigger deduplicated");
+
+      await engine.save();
+      this.testsPassed++;
+    } catch (error) {
+      console.error("   ❌ Alert rules failed:", error.message);
+      this.testsFailed++;
+    }
+  }
+
   async makeRequest(method, path, options = {}) {
     return new Promise((resolve, reject) => {
       const reqOptions = {
@@ -264,6 +1994,8 @@ class SystemTester {
               const error = new Error(`HTTP ${res.statusCode}: ${data}`);
               error.statusCode = res.statusCode;
               reject(error);
+            } else if (options.raw) {
+              resolve(data);
             } else {
               const response = data ? JSON.parse(data) : {};
               resolve(response);